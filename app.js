@@ -8,20 +8,34 @@ const path = require('path');
 const { connectDB } = require('./config/db');
 // Explicitly import models to ensure Sequelize associations are set up
 const models = require('./models'); 
-const { processOrderFile } = require('./services/importService');
-//const { generateSalesSummary } = require('./services/reportService');
+const { processOrderFile, previewOrderFile, listOrderChanges } = require('./services/importService');
+const { isSupportedOrderFile } = require('./services/orderFileParser');
+const { generateSalesSummary, generateSalesSummaryReport, PERIOD_FORMATS } = require('./services/reportService');
 
 // Add this import near the top of app.js
-const { purgeAllData } = require('./services/purgeService');
+const { previewPurge, purgeData } = require('./services/purgeService');
 
 // Add this import near the top of app.js
-const { generateGstr1Report } = require('./services/gstr1Service');
+const { generateGstr1Report, generateGstr1Json } = require('./services/gstr1Service');
+const { computeGstr3bSummary, generateGstr3bReport, generateGstr3bJson } = require('./services/gstr3bService');
+const { processRefundFile, writeRefundTemplate } = require('./services/creditNoteService');
+const { findSellerProfile, saveSellerProfile } = require('./services/sellerProfileService');
+const { syncWooOrders, getWooSyncState } = require('./services/wooSyncService');
+const { reconcileOrderFile } = require('./services/reconciliationService');
+const { findDuplicateCandidates, mergeCustomers, undoMerge, listMerges } = require('./services/customerMergeService');
+const { listCustomers, getCustomer, updateCustomer } = require('./services/customerService');
+const { listOrders, getOrder } = require('./services/orderService');
+const { listProducts, listProductsMissingHsn, updateProduct, bulkUpdateProducts, generateMissingHsnReport } = require('./services/productService');
+const { importHsnMaster } = require('./services/hsnService');
+const { auditInvoiceSeries } = require('./services/invoiceSeriesService');
+const { auditOrderArithmetic } = require('./services/taxValidationService');
+const { createImportJob, runImportJob, getImportJob, listImportJobs, listJobIssues, generateJobErrorReport, markInterruptedJobs, findActiveJob } = require('./services/importJobService');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
-// --- Global Job Tracking and Upload Config ---
-const jobStatus = {}; 
+// --- Upload Config ---
+// Job tracking lives in the import_jobs table (see services/importJobService.js)
 const uploadDir = process.env.UPLOAD_DIR || 'uploads/';
 
 // Setup Multer storage for file uploads
@@ -44,56 +58,150 @@ const upload = multer({ storage: storage });
 app.use(cors({ origin: 'http://localhost:5173' })); 
 
 // --- Database Connection ---
-connectDB(); 
+// Jobs left PENDING/RUNNING by a previous process can never finish, so flag them once the tables exist
+connectDB()
+    .then(() => markInterruptedJobs())
+    .catch(error => console.error('Failed to mark interrupted import jobs:', error));
 
 // --- Routes ---
 
-// 1. Start Import Job (POST)
+// 1. Start Import Job (POST) - ?dryRun=true returns a preview and changes nothing
+// ?mode=upsert updates bills that were already imported instead of skipping them
 app.post('/api/import-orders', upload.single('orderFile'), async (req, res) => {
     if (!req.file) {
         return res.status(400).send({ message: 'No file uploaded.' });
     }
+    if (!isSupportedOrderFile(req.file.originalname)) {
+        fs.unlink(req.file.path, () => {});
+        return res.status(400).send({ message: 'Unsupported file type. Upload an .xlsx or .csv file.' });
+    }
+    const mode = (req.query.mode || 'insert').toLowerCase();
+    if (!['insert', 'upsert'].includes(mode)) {
+        fs.unlink(req.file.path, () => {});
+        return res.status(400).send({ message: 'mode must be "insert" or "upsert".' });
+    }
+    const importOptions = { upsert: mode === 'upsert' };
+
+    if (req.query.dryRun === 'true') {
+        try {
+            const preview = await previewOrderFile(req.file.path, importOptions);
+            return res.status(200).send(preview);
+        } catch (error) {
+            console.error('Failed to preview import:', error);
+            return res.status(500).send({ message: 'Failed to preview import.', error: error.message });
+        }
+    }
 
-    const job_id = Date.now().toString();
-    // Initialize job status
-    jobStatus[job_id] = { 
-        status: 'PENDING', 
-        summary: { totalProcessed: 0, successfulInserts: 0, failedInserts: 0, skippedDuplicates: 0 } 
-    };
-
-    // Run the import process asynchronously (non-blocking)
-    processOrderFile(req.file.path, jobStatus, job_id)
-        .then(finalSummary => {
-            jobStatus[job_id].status = 'COMPLETED';
-            jobStatus[job_id].summary = finalSummary;
-        })
-        .catch(error => {
-            jobStatus[job_id].status = 'FAILED';
-            jobStatus[job_id].error = error.message;
-            console.error(`Job ${job_id} failed:`, error);
+    try {
+        // Initialize job record
+        const job = await createImportJob({
+            job_type: 'ORDERS',
+            file_path: req.file.path,
+            file_name: req.file.originalname,
+            uploaded_by: req.body.uploadedBy || req.get('X-Uploaded-By'),
         });
 
-    // Immediately respond with the job ID (HTTP 202: Accepted)
-    res.status(202).send({
-        message: 'Import started successfully in the background.',
-        job_id: job_id
-    });
+        // Run the import process asynchronously (non-blocking)
+        runImportJob(job, importJob => processOrderFile(req.file.path, importJob, importOptions));
+
+        // Immediately respond with the job ID (HTTP 202: Accepted)
+        res.status(202).send({
+            message: 'Import started successfully in the background.',
+            job_id: job.id
+        });
+    } catch (error) {
+        console.error('Failed to start import job:', error);
+        res.status(500).send({ message: 'Failed to start import job.', error: error.message });
+    }
 });
 
 // 2. Get Import Status (GET)
-app.get('/api/import-status/:jobId', (req, res) => {
-    const status = jobStatus[req.params.jobId];
-    if (!status) {
-        return res.status(404).send({ message: 'Job ID not found.' });
+app.get('/api/import-status/:jobId', async (req, res) => {
+    try {
+        const status = await getImportJob(req.params.jobId);
+        if (!status) {
+            return res.status(404).send({ message: 'Job ID not found.' });
+        }
+        // Return the current status and summary
+        res.status(200).send(status);
+    } catch (error) {
+        console.error('Failed to load import job:', error);
+        res.status(500).send({ message: 'Failed to load import job.', error: error.message });
+    }
+});
+
+// 2b. List Import Jobs (GET) - ?page=1&pageSize=20&status=FAILED&jobType=ORDERS
+app.get('/api/import-jobs', async (req, res) => {
+    try {
+        const result = await listImportJobs(req.query);
+        res.status(200).send(result);
+    } catch (error) {
+        console.error('Failed to list import jobs:', error);
+        res.status(500).send({ message: 'Failed to list import jobs.', error: error.message });
+    }
+});
+
+// 2c. Import Job Error Report (GET) - ?format=json|xlsx&kind=SKIPPED|FAILED|DUPLICATE
+// The XLSX repeats the uploaded columns plus "Error" so the rows can be fixed and re-uploaded
+app.get('/api/import-jobs/:jobId/errors', async (req, res) => {
+    const format = (req.query.format || 'json').toLowerCase();
+    const kind = req.query.kind ? req.query.kind.toUpperCase() : undefined;
+    if (!['json', 'xlsx'].includes(format)) {
+        return res.status(400).send({ message: 'format must be "json" or "xlsx".' });
+    }
+    if (kind && !['SKIPPED', 'FAILED', 'DUPLICATE'].includes(kind)) {
+        return res.status(400).send({ message: 'kind must be SKIPPED, FAILED or DUPLICATE.' });
+    }
+
+    try {
+        if (format === 'xlsx') {
+            const downloadPath = await generateJobErrorReport(req.params.jobId, { kind });
+            if (!downloadPath) {
+                return res.status(404).send({ message: 'Job ID not found.' });
+            }
+            return res.status(200).send({
+                message: 'Error report generated successfully.',
+                downloadPath: downloadPath,
+                downloadUrl: `${req.protocol}://${req.get('host')}/${downloadPath}`
+            });
+        }
+
+        const result = await listJobIssues(req.params.jobId, { kind });
+        if (!result) {
+            return res.status(404).send({ message: 'Job ID not found.' });
+        }
+        res.status(200).send({ job_id: result.job.id, total: result.issues.length, issues: result.issues });
+    } catch (error) {
+        console.error('Failed to build import error report:', error);
+        res.status(500).send({ message: 'Failed to build import error report.', error: error.message });
     }
-    // Return the current status and summary
-    res.status(200).send(status);
 });
 
-// 3. Get Sales Report (GET)
+// 3. Get Sales Report (GET) - ?startDate=2025-10-01&endDate=2025-10-31&groupBy=day|week|month&format=json|xlsx
 app.get('/api/reports/sales', async (req, res) => {
+    const { startDate, endDate, groupBy = 'month', format = 'json' } = req.query;
+
+    if (!startDate || !endDate) {
+        return res.status(400).send({ message: 'Missing required startDate or endDate.' });
+    }
+    if (!PERIOD_FORMATS[groupBy]) {
+        return res.status(400).send({ message: `Unsupported groupBy "${groupBy}". Use "day", "week" or "month".` });
+    }
+    if (!['xlsx', 'json'].includes(format)) {
+        return res.status(400).send({ message: `Unsupported format "${format}". Use "xlsx" or "json".` });
+    }
+
     try {
-        const report = await generateSalesSummary();
+        if (format === 'xlsx') {
+            const downloadPath = await generateSalesSummaryReport(startDate, endDate, { groupBy });
+            return res.status(200).send({
+                message: 'Sales report generated successfully.',
+                downloadPath: downloadPath,
+                downloadUrl: `${req.protocol}://${req.get('host')}/${downloadPath}`
+            });
+        }
+
+        const report = await generateSalesSummary(startDate, endDate, { groupBy });
         res.status(200).send(report);
     } catch (error) {
         console.error('Failed to generate sales report:', error);
@@ -102,42 +210,79 @@ app.get('/api/reports/sales', async (req, res) => {
 });
 
 // 4. Purge Data Endpoint (DELETE)
-// Use DELETE method as it modifies/deletes server resources
-app.delete('/api/purge-data', async (req, res) => {
+// Body: one scope - { "startDate", "endDate" } | { "importJobId" } | { "billNumbers": [...] }.
+// Without a confirmationToken (or with ?dryRun=true) nothing is deleted: the response lists what
+// would be and carries a token. Send the same scope with that token to purge; the affected rows
+// are first saved as JSON + XLSX under downloads/.
+app.delete('/api/purge-data', express.json(), async (req, res) => {
+    const { confirmationToken, ...scope } = req.body || {};
     try {
-        const result = await purgeAllData();
-        if (result.success) {
-            // HTTP 200 OK
-            res.status(200).send({ message: result.message });
-        } else {
-            // HTTP 500 Internal Server Error (if the DB command failed)
-            res.status(500).send({ message: result.message });
+        if (req.query.dryRun === 'true' || !confirmationToken) {
+            const preview = await previewPurge(scope);
+            if (!preview.success) {
+                return res.status(preview.notFound ? 404 : 400).send({ message: preview.message });
+            }
+            return res.status(200).send(preview);
+        }
+
+        const result = await purgeData(scope, confirmationToken);
+        if (!result.success) {
+            return res.status(400).send({ message: result.message });
         }
+        const backupUrl = downloadPath => `${req.protocol}://${req.get('host')}/${downloadPath}`;
+        res.status(200).send({
+            message: result.message,
+            counts: result.counts,
+            backup: result.backup && {
+                json: { downloadPath: result.backup.json, downloadUrl: backupUrl(result.backup.json) },
+                xlsx: { downloadPath: result.backup.xlsx, downloadUrl: backupUrl(result.backup.xlsx) },
+            },
+        });
     } catch (error) {
         console.error('Fatal purge error:', error);
-        res.status(500).send({ message: 'A critical server error occurred during purge.' });
+        res.status(500).send({ message: 'A critical server error occurred during purge.', error: error.message });
     }
 });
 
 
 // 4. GSTR-1 Export Endpoint (POST)
 app.post('/api/reports/gstr1-export', express.json(), async (req, res) => {
-    // Input body: { "startDate": "2025-10-01", "endDate": "2025-10-31" }
-    const { startDate, endDate } = req.body; 
+    // Input body: { "startDate": "2025-10-01", "endDate": "2025-10-31", "format": "xlsx" | "json", "gapsCancelled": false }
+    // gapsCancelled: numbers missing from an invoice series have been confirmed as cancelled (Table 13)
+    const { startDate, endDate, format = 'xlsx', gapsCancelled = false } = req.body; 
 
     if (!startDate || !endDate) {
         return res.status(400).send({ message: 'Missing required startDate or endDate.' });
     }
+    if (!['xlsx', 'json'].includes(format)) {
+        return res.status(400).send({ message: `Unsupported format "${format}". Use "xlsx" or "json".` });
+    }
 
     try {
-        // Trigger the service to fetch data, generate Excel, and save to disk
-        const downloadPath = await generateGstr1Report(startDate, endDate);
+        let downloadPath;
+        let seriesGaps;
+        if (format === 'json') {
+            // The JSON is only written when every invoice passes the portal's validation rules
+            const result = await generateGstr1Json(startDate, endDate, { gapsCancelled: gapsCancelled === true });
+            if (!result.valid) {
+                return res.status(422).send({
+                    message: 'GSTR-1 JSON was not generated because the portal would reject it.',
+                    errors: result.errors
+                });
+            }
+            downloadPath = result.downloadPath;
+            seriesGaps = result.seriesGaps;
+        } else {
+            // Trigger the service to fetch data, generate Excel, and save to disk (gaps go on a Series Gaps sheet)
+            downloadPath = await generateGstr1Report(startDate, endDate, { gapsCancelled: gapsCancelled === true });
+        }
         
         // Return the download link path
         res.status(200).send({
             message: 'GSTR-1 Report generated successfully.',
             downloadPath: downloadPath, // e.g., 'downloads/GNX-GSTR1-20251001-20251031.xlsx'
-            downloadUrl: `${req.protocol}://${req.get('host')}/${downloadPath}`
+            downloadUrl: `${req.protocol}://${req.get('host')}/${downloadPath}`,
+            ...(seriesGaps && seriesGaps.length > 0 ? { seriesGaps } : {})
         });
 
     } catch (error) {
@@ -146,6 +291,417 @@ app.post('/api/reports/gstr1-export', express.json(), async (req, res) => {
     }
 });
 
+// 4b. GSTR-3B Summary (POST) - tables 3.1 and 3.2, net of credit/debit notes
+app.post('/api/reports/gstr3b-export', express.json(), async (req, res) => {
+    // Input body: { "startDate": "2025-10-01", "endDate": "2025-10-31", "format": "xlsx" | "json" | "summary" }
+    // "json" writes the offline-utility file; "summary" returns the computed tables in the response
+    const { startDate, endDate, format = 'xlsx' } = req.body || {};
+
+    if (!startDate || !endDate) {
+        return res.status(400).send({ message: 'Missing required startDate or endDate.' });
+    }
+    if (!['xlsx', 'json', 'summary'].includes(format)) {
+        return res.status(400).send({ message: `Unsupported format "${format}". Use "xlsx", "json" or "summary".` });
+    }
+
+    try {
+        if (format === 'summary') {
+            const summary = await computeGstr3bSummary(startDate, endDate);
+            return res.status(200).send(summary);
+        }
+        const downloadPath = format === 'json'
+            ? await generateGstr3bJson(startDate, endDate)
+            : await generateGstr3bReport(startDate, endDate);
+
+        res.status(200).send({
+            message: 'GSTR-3B Report generated successfully.',
+            downloadPath: downloadPath,
+            downloadUrl: `${req.protocol}://${req.get('host')}/${downloadPath}`
+        });
+    } catch (error) {
+        console.error('GSTR-3B Export Failed:', error);
+        res.status(500).send({ message: 'Failed to generate GSTR-3B Report due to a server error.', error: error.message });
+    }
+});
+
+// 5. Start Refund / Credit Note Import Job (POST), refund file template (GET)
+// Progress is reported through the same /api/import-status/:jobId endpoint as order imports
+app.post('/api/import-refunds', upload.single('refundFile'), async (req, res) => {
+    if (!req.file) {
+        return res.status(400).send({ message: 'No file uploaded.' });
+    }
+
+    try {
+        const job = await createImportJob({
+            job_type: 'REFUNDS',
+            file_path: req.file.path,
+            file_name: req.file.originalname,
+            uploaded_by: req.body.uploadedBy || req.get('X-Uploaded-By'),
+        });
+
+        runImportJob(job, importJob => processRefundFile(req.file.path, importJob));
+
+        res.status(202).send({
+            message: 'Refund import started successfully in the background.',
+            job_id: job.id
+        });
+    } catch (error) {
+        console.error('Failed to start refund import job:', error);
+        res.status(500).send({ message: 'Failed to start refund import job.', error: error.message });
+    }
+});
+
+// Blank refund file with a "Columns" sheet describing each WooCommerce refund field it expects
+app.get('/api/import-refunds/template', async (req, res) => {
+    try {
+        const downloadPath = await writeRefundTemplate();
+        res.status(200).send({
+            message: 'Refund import template generated successfully.',
+            downloadPath: downloadPath,
+            downloadUrl: `${req.protocol}://${req.get('host')}/${downloadPath}`
+        });
+    } catch (error) {
+        console.error('Refund template generation failed:', error);
+        res.status(500).send({ message: 'Failed to generate the refund import template.', error: error.message });
+    }
+});
+
+// 6. Seller Profile (GET / PUT)
+// GSTIN, legal name, home state, invoice prefix and turnover slab used by every GST computation
+app.get('/api/seller-profile', async (req, res) => {
+    try {
+        const profile = await findSellerProfile();
+        if (!profile) {
+            return res.status(404).send({ message: 'Seller profile has not been configured yet.' });
+        }
+        res.status(200).send(profile);
+    } catch (error) {
+        console.error('Failed to load seller profile:', error);
+        res.status(500).send({ message: 'Failed to load seller profile.', error: error.message });
+    }
+});
+
+app.put('/api/seller-profile', express.json(), async (req, res) => {
+    // Input body: { "gstin": "19ABCDE1234F1Z5", "legal_name": "...", "home_state_code": "19", "invoice_prefix": "GNX",
+    //               "aggregate_turnover_slab": "UPTO_5_CR" | "ABOVE_5_CR" }
+    try {
+        const result = await saveSellerProfile(req.body || {});
+        if (!result.success) {
+            return res.status(400).send({ message: result.message });
+        }
+        res.status(200).send({ message: result.message, profile: result.profile });
+    } catch (error) {
+        console.error('Failed to save seller profile:', error);
+        res.status(500).send({ message: 'Failed to save seller profile.', error: error.message });
+    }
+});
+
+// 7. WooCommerce REST Sync (POST starts a job, GET returns the cursor)
+// Fetches only orders modified since the last successful run; progress via /api/import-status/:jobId
+app.post('/api/sync/woocommerce', async (req, res) => {
+    try {
+        // Two syncs from the same cursor would import the same orders side by side
+        const activeJob = await findActiveJob('WOO_SYNC');
+        if (activeJob) {
+            return res.status(409).send({ message: 'A WooCommerce sync is already in progress.', job_id: activeJob.id });
+        }
+
+        const job = await createImportJob({ job_type: 'WOO_SYNC', uploaded_by: req.get('X-Uploaded-By') });
+
+        runImportJob(job, importJob => syncWooOrders(importJob));
+
+        res.status(202).send({
+            message: 'WooCommerce sync started successfully in the background.',
+            job_id: job.id
+        });
+    } catch (error) {
+        console.error('Failed to start WooCommerce sync job:', error);
+        res.status(500).send({ message: 'Failed to start WooCommerce sync job.', error: error.message });
+    }
+});
+
+app.get('/api/sync/woocommerce', async (req, res) => {
+    try {
+        const state = await getWooSyncState();
+        res.status(200).send(state);
+    } catch (error) {
+        console.error('Failed to load WooCommerce sync state:', error);
+        res.status(500).send({ message: 'Failed to load sync state.', error: error.message });
+    }
+});
+
+// 8. Order Change History (GET) - ?billNumber=GNX/2025-26/1138&jobId=12
+// Field-level changes written by upsert imports
+app.get('/api/order-changes', async (req, res) => {
+    try {
+        const changes = await listOrderChanges({ billNumber: req.query.billNumber, jobId: req.query.jobId });
+        res.status(200).send({ changes });
+    } catch (error) {
+        console.error('Failed to load order change history:', error);
+        res.status(500).send({ message: 'Failed to load order change history.', error: error.message });
+    }
+});
+
+// 9. Reconcile a WooCommerce Export (POST) - multipart field "orderFile", optional startDate/endDate
+// Matches by invoice number; the XLSX has one sheet per category (missing, extra, each mismatch)
+app.post('/api/reconcile', upload.single('orderFile'), async (req, res) => {
+    if (!req.file) {
+        return res.status(400).send({ message: 'No file uploaded.' });
+    }
+    if (!isSupportedOrderFile(req.file.originalname)) {
+        fs.unlink(req.file.path, () => {});
+        return res.status(400).send({ message: 'Unsupported file type. Upload an .xlsx or .csv file.' });
+    }
+
+    try {
+        const { startDate, endDate } = req.body;
+        const result = await reconcileOrderFile(req.file.path, { startDate, endDate });
+        res.status(200).send({
+            message: 'Reconciliation completed.',
+            ...result,
+            downloadUrl: `${req.protocol}://${req.get('host')}/${result.downloadPath}`
+        });
+    } catch (error) {
+        console.error('Reconciliation failed:', error);
+        res.status(500).send({ message: 'Reconciliation failed.', error: error.message });
+    }
+});
+
+// 10. Customer Duplicates and Merges
+// GET lists likely duplicate pairs with a score - ?minScore=40&limit=100
+app.get('/api/customers/duplicates', async (req, res) => {
+    try {
+        const result = await findDuplicateCandidates(req.query);
+        res.status(200).send(result);
+    } catch (error) {
+        console.error('Failed to find duplicate customers:', error);
+        res.status(500).send({ message: 'Failed to find duplicate customers.', error: error.message });
+    }
+});
+
+app.post('/api/customers/merge', express.json(), async (req, res) => {
+    // Input body: { "survivorId": 12, "duplicateIds": [31, 47], "mergedBy": "accounts@...",
+    //              "gstNumber": "19AAAAA0000A1ZZ", "stateName": "West Bengal" } (the last two pick the GSTIN to keep)
+    const { survivorId, duplicateIds, mergedBy, gstNumber, stateName } = req.body || {};
+    try {
+        const result = await mergeCustomers(survivorId, duplicateIds, { mergedBy: mergedBy || req.get('X-Uploaded-By'), gstNumber, stateName });
+        if (!result.success) {
+            return res.status(400).send({ message: result.message });
+        }
+        res.status(200).send(result);
+    } catch (error) {
+        console.error('Customer merge failed:', error);
+        res.status(500).send({ message: 'Failed to merge customers.', error: error.message });
+    }
+});
+
+app.get('/api/customers/merges', async (req, res) => {
+    try {
+        const merges = await listMerges();
+        res.status(200).send({ merges });
+    } catch (error) {
+        console.error('Failed to list customer merges:', error);
+        res.status(500).send({ message: 'Failed to list customer merges.', error: error.message });
+    }
+});
+
+app.post('/api/customers/merges/:mergeId/undo', async (req, res) => {
+    try {
+        const result = await undoMerge(req.params.mergeId);
+        if (!result.success) {
+            return res.status(400).send({ message: result.message });
+        }
+        res.status(200).send(result);
+    } catch (error) {
+        console.error('Undoing customer merge failed:', error);
+        res.status(500).send({ message: 'Failed to undo customer merge.', error: error.message });
+    }
+});
+
+// 11. Customers (GET list / GET one / PATCH)
+// ?q=<name, company, GSTIN, e-mail or phone>&state=Kerala&sort=lifetime_value|last_order_date|party_name&order=desc&page=1&pageSize=20
+app.get('/api/customers', async (req, res) => {
+    try {
+        const result = await listCustomers(req.query);
+        res.status(200).send(result);
+    } catch (error) {
+        console.error('Failed to list customers:', error);
+        res.status(500).send({ message: 'Failed to list customers.', error: error.message });
+    }
+});
+
+app.get('/api/customers/:id', async (req, res) => {
+    try {
+        const profile = await getCustomer(req.params.id);
+        if (!profile) {
+            return res.status(404).send({ message: 'Customer not found.' });
+        }
+        res.status(200).send(profile);
+    } catch (error) {
+        console.error('Failed to load customer:', error);
+        res.status(500).send({ message: 'Failed to load customer.', error: error.message });
+    }
+});
+
+app.patch('/api/customers/:id', express.json(), async (req, res) => {
+    // Input body: { "gst_number": "19ABCDE1234F1Z5", "state_name": "West Bengal", "address": "...", "pincode": "700001" }
+    try {
+        const result = await updateCustomer(req.params.id, req.body || {});
+        if (!result.success) {
+            return res.status(result.notFound ? 404 : 400).send({ message: result.message });
+        }
+        res.status(200).send({ message: result.message, customer: result.customer });
+    } catch (error) {
+        console.error('Failed to update customer:', error);
+        res.status(500).send({ message: 'Failed to update customer.', error: error.message });
+    }
+});
+
+// 12. Orders (GET list / GET one)
+// ?startDate&endDate&billNumber&orderNumber&customerId&hasGstin=true|false&paymentMethod&productId&minAmount&maxAmount&page&pageSize
+app.get('/api/orders', async (req, res) => {
+    try {
+        const result = await listOrders(req.query);
+        res.status(200).send(result);
+    } catch (error) {
+        console.error('Failed to list orders:', error);
+        res.status(500).send({ message: 'Failed to list orders.', error: error.message });
+    }
+});
+
+// Bill numbers contain slashes (GNX/2025-26/1138), so everything after /api/orders/ is the bill number
+app.get('/api/orders/*', async (req, res) => {
+    try {
+        const order = await getOrder(req.params[0]);
+        if (!order) {
+            return res.status(404).send({ message: 'Order not found.' });
+        }
+        res.status(200).send(order);
+    } catch (error) {
+        console.error('Failed to load order:', error);
+        res.status(500).send({ message: 'Failed to load order.', error: error.message });
+    }
+});
+
+// 13. Product Master (GET list / PATCH one / PATCH bulk / missing-HSN report)
+// ?q=kaspersky&missingHsn=true&page=1&pageSize=50
+app.get('/api/products', async (req, res) => {
+    try {
+        const result = await listProducts(req.query);
+        res.status(200).send(result);
+    } catch (error) {
+        console.error('Failed to list products:', error);
+        res.status(500).send({ message: 'Failed to list products.', error: error.message });
+    }
+});
+
+// ?format=json|xlsx
+app.get('/api/products/missing-hsn', async (req, res) => {
+    const format = (req.query.format || 'json').toLowerCase();
+    if (!['json', 'xlsx'].includes(format)) {
+        return res.status(400).send({ message: 'format must be "json" or "xlsx".' });
+    }
+    try {
+        if (format === 'json') {
+            const products = await listProductsMissingHsn();
+            return res.status(200).send({ total: products.length, products });
+        }
+        const downloadPath = await generateMissingHsnReport();
+        res.status(200).send({
+            message: 'Missing HSN report generated successfully.',
+            downloadPath: downloadPath,
+            downloadUrl: `${req.protocol}://${req.get('host')}/${downloadPath}`
+        });
+    } catch (error) {
+        console.error('Failed to build missing HSN report:', error);
+        res.status(500).send({ message: 'Failed to build missing HSN report.', error: error.message });
+    }
+});
+
+app.patch('/api/products/bulk', express.json(), async (req, res) => {
+    // Input body: { "ids": [3, 8, 21], "hsn_code": "85238020", "uqc": "NOS", "default_gst_rate": 18, "description": "..." }
+    const { ids, ...fields } = req.body || {};
+    try {
+        const result = await bulkUpdateProducts(ids, fields);
+        if (!result.success) {
+            return res.status(400).send({ message: result.message });
+        }
+        res.status(200).send(result);
+    } catch (error) {
+        console.error('Failed to bulk-update products:', error);
+        res.status(500).send({ message: 'Failed to bulk-update products.', error: error.message });
+    }
+});
+
+app.patch('/api/products/:id', express.json(), async (req, res) => {
+    // Input body: any of { "item_name", "hsn_code", "uqc", "default_gst_rate", "description" }
+    try {
+        const result = await updateProduct(req.params.id, req.body || {});
+        if (!result.success) {
+            return res.status(result.notFound ? 404 : 400).send({ message: result.message });
+        }
+        res.status(200).send({ message: result.message, product: result.product });
+    } catch (error) {
+        console.error('Failed to update product:', error);
+        res.status(500).send({ message: 'Failed to update product.', error: error.message });
+    }
+});
+
+// 14. HSN/SAC Master Import (POST) - multipart field "hsnFile"
+// The official HSN/SAC list as CSV or XLSX (all sheets); descriptions and UQCs for the HSN summary
+app.post('/api/hsn-codes/import', upload.single('hsnFile'), async (req, res) => {
+    if (!req.file) {
+        return res.status(400).send({ message: 'No file uploaded.' });
+    }
+    if (!isSupportedOrderFile(req.file.originalname)) {
+        fs.unlink(req.file.path, () => {});
+        return res.status(400).send({ message: 'Unsupported file type. Upload an .xlsx or .csv file.' });
+    }
+
+    try {
+        const result = await importHsnMaster(req.file.path);
+        if (!result.success) {
+            return res.status(400).send({ message: result.message, skippedRows: result.skippedRows });
+        }
+        res.status(200).send(result);
+    } catch (error) {
+        console.error('HSN master import failed:', error);
+        res.status(500).send({ message: 'HSN master import failed.', error: error.message });
+    }
+});
+
+// 15. Invoice Series Audit (GET) - ?startDate=2025-04-01&endDate=2026-03-31 (both optional)
+// Missing, duplicated and out-of-order bill numbers per series and financial year
+app.get('/api/reports/invoice-series', async (req, res) => {
+    try {
+        const result = await auditInvoiceSeries({ startDate: req.query.startDate, endDate: req.query.endDate });
+        res.status(200).send(result);
+    } catch (error) {
+        console.error('Invoice series audit failed:', error);
+        res.status(500).send({ message: 'Invoice series audit failed.', error: error.message });
+    }
+});
+
+// 16. Tax Arithmetic Audit (GET) - ?startDate=2025-10-01&endDate=2025-10-31&tolerance=0.05
+// Every invoice whose line tax, subtotal or total does not reconcile (tolerance defaults to TAX_CHECK_TOLERANCE)
+app.get('/api/reports/tax-consistency', async (req, res) => {
+    const { startDate, endDate, tolerance } = req.query;
+    if (!startDate || !endDate) {
+        return res.status(400).send({ message: 'Missing required startDate or endDate.' });
+    }
+    if (tolerance !== undefined && !(parseFloat(tolerance) >= 0)) {
+        return res.status(400).send({ message: 'tolerance must be a non-negative number.' });
+    }
+
+    try {
+        const result = await auditOrderArithmetic(startDate, endDate, { tolerance });
+        res.status(200).send(result);
+    } catch (error) {
+        console.error('Tax consistency audit failed:', error);
+        res.status(500).send({ message: 'Tax consistency audit failed.', error: error.message });
+    }
+});
+
 // IMPORTANT: You must also add a static route to serve the downloads directory
 app.use('/downloads', express.static(path.join(__dirname, 'downloads')));
 
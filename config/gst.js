@@ -0,0 +1,176 @@
+// Static GST reference data shared by the import, seller profile and GSTR services.
+
+// Two-digit state codes as used in GSTINs and the portal's Place Of Supply
+const STATE_CODES = {
+  'Jammu & Kashmir': '01', 'Himachal Pradesh': '02', 'Punjab': '03', 'Chandigarh': '04',
+  'Uttarakhand': '05', 'Haryana': '06', 'Delhi': '07', 'Rajasthan': '08',
+  'Uttar Pradesh': '09', 'Bihar': '10', 'Sikkim': '11', 'Arunachal Pradesh': '12',
+  'Nagaland': '13', 'Manipur': '14', 'Mizoram': '15', 'Tripura': '16',
+  'Meghalaya': '17', 'Assam': '18', 'West Bengal': '19', 'Jharkhand': '20',
+  'Odisha': '21', 'Chhattisgarh': '22', 'Madhya Pradesh': '23', 'Gujarat': '24',
+  'Daman & Diu': '25', 'Dadra & Nagar Haveli': '26', 'Maharashtra': '27',
+  'Andhra Pradesh (Old)': '28', 'Karnataka': '29', 'Goa': '30', 'Lakshadweep': '31',
+  'Kerala': '32', 'Tamil Nadu': '33', 'Puducherry': '34', 'Andaman & Nicobar Islands': '35',
+  'Telangana': '36', 'Andhra Pradesh': '37', 'Ladakh': '38',
+  'Others Territory': '97', 'Center Jurisdiction': '99'
+};
+
+const STATE_CODE_TO_NAME = Object.fromEntries(
+  Object.entries(STATE_CODES).map(([name, code]) => [code, name])
+);
+
+// Tax rates (%) accepted by the GST portal
+const GST_RATES = [0, 0.1, 0.25, 1, 1.5, 3, 5, 6, 7.5, 12, 18, 28, 40];
+
+// Unit Quantity Codes accepted in the HSN summary ("NOS" is reported as "NOS-NUMBERS")
+const UQC_CODES = {
+  BAG: 'BAGS', BAL: 'BALE', BDL: 'BUNDLES', BKL: 'BUCKLES', BOU: 'BILLION OF UNITS', BOX: 'BOX',
+  BTL: 'BOTTLES', BUN: 'BUNCHES', CAN: 'CANS', CBM: 'CUBIC METERS', CCM: 'CUBIC CENTIMETERS',
+  CMS: 'CENTIMETERS', CTN: 'CARTONS', DOZ: 'DOZENS', DRM: 'DRUMS', GGK: 'GREAT GROSS', GMS: 'GRAMMES',
+  GRS: 'GROSS', GYD: 'GROSS YARDS', KGS: 'KILOGRAMS', KLR: 'KILOLITRE', KME: 'KILOMETRE',
+  LTR: 'LITRES', MLT: 'MILILITRE', MTR: 'METERS', MTS: 'METRIC TON', NOS: 'NUMBERS', OTH: 'OTHERS',
+  PAC: 'PACKS', PCS: 'PIECES', PRS: 'PAIRS', QTL: 'QUINTAL', ROL: 'ROLLS', SET: 'SETS',
+  SQF: 'SQUARE FEET', SQM: 'SQUARE METERS', SQY: 'SQUARE YARDS', TBS: 'TABLETS', TGM: 'TEN GROSS',
+  THD: 'THOUSANDS', TON: 'TONNES', TUB: 'TUBES', UGS: 'US GALLONS', UNT: 'UNITS', YDS: 'YARDS'
+};
+
+// HSN codes are 4, 6 or 8 digits; SAC (services) codes are 6 digits starting with 99
+const HSN_CODE_REGEX = /^(\d{4}|\d{6}|\d{8})$/;
+
+// Minimum HSN digits on invoices and in the HSN summary, by the seller's aggregate turnover
+// in the previous financial year (up to Rs. 5 crore: 4 digits, above: 6 digits)
+const HSN_MIN_DIGITS_BY_TURNOVER = { UPTO_5_CR: 4, ABOVE_5_CR: 6 };
+
+// Structural GSTIN format: state code, PAN, entity number, 'Z', check character
+const GSTIN_REGEX = /^[0-9]{2}[A-Z]{5}[0-9]{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/;
+
+/**
+ * Resolves a free-text state name (e.g. "west bengal ") to its two-digit code.
+ * Exact matches win over partial ones; returns null when nothing matches.
+ * Superseded codes such as "Andhra Pradesh (Old)" only match exactly, so "andhra" gives 37.
+ */
+function stateCodeFromName(stateName) {
+  if (!stateName) return null;
+  const nameClean = stateName.toString().trim().toLowerCase();
+  if (!nameClean) return null;
+  for (const [name, code] of Object.entries(STATE_CODES)) {
+    if (name.toLowerCase() === nameClean) return code;
+  }
+  for (const [name, code] of Object.entries(STATE_CODES)) {
+    if (/\(old\)$/i.test(name)) continue;
+    if (name.toLowerCase().includes(nameClean) || nameClean.includes(name.toLowerCase())) {
+      return code;
+    }
+  }
+  return null;
+}
+
+/* Blank, or the "N/A" the importer stores when a file has no state: no billing state on record */
+function isMissingState(stateName) {
+  return ['', 'n/a'].includes((stateName || '').toString().trim().toLowerCase());
+}
+
+const GSTIN_CHARSET = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+// 4th character of a PAN identifies the holder type (Company, Person, HUF, Firm, ...)
+const PAN_HOLDER_TYPES = 'ABCEFGHJLPTK';
+
+/* Mod-36 check character computed over the first 14 characters of a GSTIN */
+function gstinCheckCharacter(first14) {
+  let sum = 0;
+  for (let i = 0; i < 14; i++) {
+    const product = GSTIN_CHARSET.indexOf(first14[i]) * (i % 2 === 0 ? 1 : 2);
+    sum += Math.floor(product / 36) + (product % 36);
+  }
+  return GSTIN_CHARSET[(36 - (sum % 36)) % 36];
+}
+
+/**
+ * Validates a GSTIN's format, state code, PAN segment and check digit.
+ * @param {string} gstin
+ * @returns {object} { valid: boolean, reason: string|null }
+ */
+function validateGstin(gstin) {
+  const value = (gstin || '').toString().trim().toUpperCase();
+  if (value.length !== 15) {
+    return { valid: false, reason: `GSTIN "${value}" must be 15 characters long.` };
+  }
+  if (!GSTIN_REGEX.test(value)) {
+    return { valid: false, reason: `GSTIN "${value}" does not follow the GSTIN format.` };
+  }
+  if (!STATE_CODE_TO_NAME[value.substring(0, 2)]) {
+    return { valid: false, reason: `GSTIN "${value}" starts with unknown state code ${value.substring(0, 2)}.` };
+  }
+  if (!PAN_HOLDER_TYPES.includes(value[5])) {
+    return { valid: false, reason: `GSTIN "${value}" contains an invalid PAN (holder type "${value[5]}").` };
+  }
+  const expected = gstinCheckCharacter(value.substring(0, 14));
+  if (value[14] !== expected) {
+    return { valid: false, reason: `GSTIN "${value}" fails the check digit (expected "${expected}").` };
+  }
+  return { valid: true, reason: null };
+}
+
+/* GSTINs are stored upper-cased without surrounding spaces; blanks become null */
+function normalizeGstin(gstNumber) {
+  const cleaned = (gstNumber || '').toString().trim().toUpperCase();
+  return cleaned || null;
+}
+
+/* Accepts "NOS", "nos" or "NOS-NUMBERS"; returns the three-letter code or null if unknown */
+function normalizeUqc(uqc) {
+  const code = (uqc || '').toString().trim().toUpperCase().split('-')[0];
+  return UQC_CODES[code] ? code : null;
+}
+
+/* "NOS" -> "NOS-NUMBERS", the form used in the GSTR-1 HSN summary */
+function formatUqc(code) {
+  return UQC_CODES[code] ? `${code}-${UQC_CODES[code]}` : null;
+}
+
+/**
+ * Checks an HSN/SAC code's format and length against the seller's turnover slab.
+ * Returns a description of the problem, or null when the code is acceptable.
+ */
+function findHsnCodeIssue(code, turnoverSlab) {
+  const value = (code || '').toString().trim();
+  if (!HSN_CODE_REGEX.test(value)) return `HSN/SAC "${value}" must be 4, 6 or 8 digits.`;
+  const minDigits = HSN_MIN_DIGITS_BY_TURNOVER[turnoverSlab] || HSN_MIN_DIGITS_BY_TURNOVER.UPTO_5_CR;
+  if (value.length < minDigits) {
+    return `HSN/SAC ${value} has ${value.length} digits; turnover slab ${turnoverSlab} requires at least ${minDigits}.`;
+  }
+  return null;
+}
+
+/**
+ * Cross-checks a GSTIN against the billing state name.
+ * Returns a description of the first problem found, or null when the pair is consistent.
+ * An unrecognised state name is not treated as a conflict.
+ */
+function findGstinIssue(gstin, stateName) {
+  const { valid, reason } = validateGstin(gstin);
+  if (!valid) return reason;
+  const gstinState = gstin.toString().trim().substring(0, 2);
+  const billingState = stateCodeFromName(stateName);
+  if (billingState && billingState !== gstinState) {
+    return `GSTIN state ${gstinState}-${STATE_CODE_TO_NAME[gstinState]} does not match billing state "${stateName}" (${billingState}).`;
+  }
+  return null;
+}
+
+module.exports = {
+  STATE_CODES,
+  STATE_CODE_TO_NAME,
+  GST_RATES,
+  UQC_CODES,
+  HSN_CODE_REGEX,
+  HSN_MIN_DIGITS_BY_TURNOVER,
+  GSTIN_REGEX,
+  stateCodeFromName,
+  isMissingState,
+  validateGstin,
+  normalizeGstin,
+  normalizeUqc,
+  formatUqc,
+  findHsnCodeIssue,
+  findGstinIssue
+};
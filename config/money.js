@@ -0,0 +1,119 @@
+// Money arithmetic shared by the import, GST and report services. Amounts are handled as
+// integer paise, so sums and tax splits are exact and match the DECIMAL(…, 2) columns.
+
+// "1156.5", "-12.345", ".75" (commas are stripped first)
+const DECIMAL_REGEX = /^([+-])?(\d*)(?:\.(\d*))?$/;
+
+/* Integer division rounding half away from zero */
+function divideRounded(numerator, denominator) {
+  const sign = numerator < 0 ? -1 : 1;
+  return sign * Math.floor((2 * Math.abs(numerator) + denominator) / (2 * denominator));
+}
+
+/**
+ * Converts an amount (number, DECIMAL string from MySQL or spreadsheet cell) to paise,
+ * rounding half away from zero on the decimal digits as written: "2.345" -> 235.
+ * Anything unreadable counts as 0, like `parseFloat(value) || 0` did.
+ */
+function toPaise(value) {
+  if (value === null || value === undefined || value === '') return 0;
+  const text = value.toString().trim().replace(/,/g, '');
+  const match = DECIMAL_REGEX.exec(text);
+  if (!match || (!match[2] && !match[3])) {
+    const number = parseFloat(text);
+    return Number.isFinite(number) ? Math.round(number * 100) : 0;
+  }
+  const [, sign, whole, fraction = ''] = match;
+  const digits = `${fraction}000`;
+  let paise = parseInt(whole || '0', 10) * 100 + parseInt(digits.substring(0, 2), 10);
+  if (digits[2] >= '5') paise += 1;
+  return sign === '-' && paise !== 0 ? -paise : paise;
+}
+
+const fromPaise = paise => paise / 100;
+
+/* An amount rounded to the paisa, as a number of rupees */
+const roundMoney = value => fromPaise(toPaise(value));
+
+/* "1156.50": an amount rounded to the paisa, as the two-decimal string stored in the database */
+const formatMoney = value => fromPaise(toPaise(value)).toFixed(2);
+
+/* Exact sum of amounts; every amount is rounded to the paisa first */
+const sumMoney = values => fromPaise(values.reduce((sum, value) => sum + toPaise(value), 0));
+
+const addMoney = (...values) => sumMoney(values);
+
+/* Value of an invoice line: unit cost × quantity, exact to the paisa */
+const lineValue = (unitCost, quantity) => fromPaise(toPaise(unitCost) * (parseInt(quantity, 10) || 0));
+
+/**
+ * GST on one invoice line: taxable value × rate, rounded to the paisa. Rates such as 0.25%
+ * and 7.5% are handled as basis points so the product stays an integer.
+ */
+function lineTax(taxableValue, rate) {
+  const basisPoints = Math.round((parseFloat(rate) || 0) * 100);
+  return fromPaise(divideRounded(toPaise(taxableValue) * basisPoints, 10000));
+}
+
+/**
+ * Splits intra-state tax into CGST and SGST. An odd paisa goes to CGST, so the two heads
+ * always add up to the tax stored on the invoice.
+ */
+function splitTax(totalTax) {
+  const paise = toPaise(totalTax);
+  const cgst = divideRounded(paise, 2);
+  return { cgst: fromPaise(cgst), sgst: fromPaise(paise - cgst) };
+}
+
+/**
+ * Shares an amount out in proportion to integer weights (e.g. quantities). Each share is
+ * rounded to the paisa and the shares always add up to the amount.
+ * @returns {Array<number>} One amount per weight.
+ */
+function allocateMoney(amount, weights) {
+  const paise = toPaise(amount);
+  const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+  if (totalWeight === 0) return weights.map(() => 0);
+
+  let cumulativeWeight = 0;
+  let allocated = 0;
+  return weights.map(weight => {
+    cumulativeWeight += weight;
+    const upToHere = divideRounded(paise * cumulativeWeight, totalWeight);
+    const share = upToHere - allocated;
+    allocated = upToHere;
+    return fromPaise(share);
+  });
+}
+
+/**
+ * Prices a line value over its quantity when it does not divide evenly. The line is split into
+ * at most two parts whose unit costs are a paisa apart and whose values add up to the amount:
+ * 1000 over 7 units -> [{ quantity: 2, unitCost: 142.85 }, { quantity: 5, unitCost: 142.86 }].
+ * @returns {Array<object>} [{ quantity, unitCost }]
+ */
+function splitLineValue(amount, quantity) {
+  const paise = toPaise(amount);
+  if (!(quantity > 0)) return [{ quantity, unitCost: 0 }];
+
+  const unit = Math.floor(paise / quantity);
+  const remainder = paise - unit * quantity;
+  const parts = [];
+  if (remainder < quantity) parts.push({ quantity: quantity - remainder, unitCost: fromPaise(unit) });
+  if (remainder > 0) parts.push({ quantity: remainder, unitCost: fromPaise(unit + 1) });
+  return parts;
+}
+
+module.exports = {
+  toPaise,
+  fromPaise,
+  roundMoney,
+  formatMoney,
+  sumMoney,
+  addMoney,
+  lineValue,
+  lineTax,
+  splitTax,
+  allocateMoney,
+  splitLineValue
+};
@@ -0,0 +1,48 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/db');
+
+const CreditNote = sequelize.define('CreditNote', {
+    // Note: Foreign Keys (orderId and customerId) will be defined in models/index.js
+
+    note_number: {
+        type: DataTypes.STRING(50),
+        allowNull: false,
+        unique: true,
+        comment: 'Credit/Debit note number as reported in GSTR-1 (CDNR/CDNUR).',
+    },
+    note_type: {
+        type: DataTypes.ENUM('C', 'D'),
+        allowNull: false,
+        defaultValue: 'C',
+        comment: 'C = Credit Note (refund), D = Debit Note.',
+    },
+    note_date: {
+        type: DataTypes.DATEONLY,
+        allowNull: false,
+    },
+    refund_id: {
+        type: DataTypes.STRING(50),
+        allowNull: true,
+        comment: 'WooCommerce refund ID the note was created from.',
+    },
+    reason: {
+        type: DataTypes.STRING(255),
+        allowNull: true,
+    },
+    note_subtotal_amount: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: false,
+    },
+    note_total_tax_amount: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: false,
+    },
+    note_total_amount: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: false,
+    },
+}, {
+    tableName: 'credit_notes',
+});
+
+module.exports = CreditNote;
@@ -0,0 +1,34 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/db');
+
+const CreditNoteItem = sequelize.define('CreditNoteItem', {
+    // Note: Foreign Keys (creditNoteId and productId) will be defined in models/index.js
+
+    item_hash: {
+        type: DataTypes.STRING(50),
+        allowNull: false,
+        comment: 'The Item #/Product Id from the refund file.',
+    },
+    quantity: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+    },
+    unit_cost: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: false,
+        comment: 'Taxable value refunded per unit.',
+    },
+    gst_rate: {
+        type: DataTypes.DECIMAL(5, 2),
+        allowNull: false,
+    },
+    line_tax: {
+        type: DataTypes.DECIMAL(10, 2),
+        defaultValue: 0.00,
+    },
+}, {
+    tableName: 'credit_note_items',
+    timestamps: false,
+});
+
+module.exports = CreditNoteItem;
@@ -51,6 +51,17 @@ const Customer = sequelize.define('Customer', {
         // or a single profile might not have a GST. GST is better tracked for lookup/merging.
         allowNull: true,
     },
+    gstin_flagged: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false,
+        comment: 'Set when gst_number fails validation or disagrees with state_name.',
+    },
+    gstin_issue: {
+        type: DataTypes.STRING(255),
+        allowNull: true,
+        comment: 'Reason the GSTIN was flagged during the last import.',
+    },
     state_name: {
         type: DataTypes.STRING(100),
         allowNull: false,
@@ -0,0 +1,41 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/db');
+
+const CustomerMerge = sequelize.define('CustomerMerge', {
+    // Note: Foreign Key survivorId is defined in models/index.js
+    merged_customers: {
+        type: DataTypes.JSON,
+        allowNull: false,
+        comment: 'Full rows of the customers folded into the survivor (restored on undo).',
+    },
+    moved_orders: {
+        type: DataTypes.JSON,
+        allowNull: false,
+        defaultValue: [],
+        comment: 'JSON array of { id, customerId } for orders moved to the survivor.',
+    },
+    moved_credit_notes: {
+        type: DataTypes.JSON,
+        allowNull: false,
+        defaultValue: [],
+        comment: 'JSON array of { id, customerId } for credit notes moved to the survivor.',
+    },
+    survivor_before: {
+        type: DataTypes.JSON,
+        allowNull: false,
+        comment: 'Survivor all_emails/all_phones, gst_number, state_name and GSTIN flag before the merge.',
+    },
+    merged_by: {
+        type: DataTypes.STRING(255),
+        allowNull: true,
+    },
+    undone_at: {
+        type: DataTypes.DATE,
+        allowNull: true,
+    },
+}, {
+    tableName: 'customer_merges',
+    comment: 'Log of customer merges, kept so a merge can be undone.',
+});
+
+module.exports = CustomerMerge;
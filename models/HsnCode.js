@@ -0,0 +1,25 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/db');
+
+const HsnCode = sequelize.define('HsnCode', {
+    code: {
+        type: DataTypes.STRING(8),
+        allowNull: false,
+        unique: true,
+        comment: '4, 6 or 8 digit HSN code, or 6 digit SAC code (services, starting with 99).',
+    },
+    description: {
+        type: DataTypes.TEXT,
+        allowNull: false,
+    },
+    uqc: {
+        type: DataTypes.STRING(3),
+        allowNull: true,
+        comment: 'Unit Quantity Code reported in the HSN summary (e.g. NOS). Null when the official list has none.',
+    },
+}, {
+    tableName: 'hsn_codes',
+    comment: 'HSN/SAC master imported from the official list; source of HSN summary descriptions.',
+});
+
+module.exports = HsnCode;
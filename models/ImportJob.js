@@ -0,0 +1,90 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/db');
+
+const ImportJob = sequelize.define('ImportJob', {
+    job_type: {
+        type: DataTypes.ENUM('ORDERS', 'REFUNDS', 'WOO_SYNC'),
+        allowNull: false,
+        defaultValue: 'ORDERS',
+    },
+    file_name: {
+        type: DataTypes.STRING(255),
+        allowNull: true,
+        comment: 'Original name of the uploaded file (null for API syncs).',
+    },
+    file_hash: {
+        type: DataTypes.STRING(64),
+        allowNull: true,
+        comment: 'SHA-256 of the uploaded file, to spot re-uploads of the same file.',
+    },
+    source_headers: {
+        type: DataTypes.JSON,
+        allowNull: true,
+        comment: 'Header row of the uploaded file, used to lay out the error report.',
+    },
+    uploaded_by: {
+        type: DataTypes.STRING(255),
+        allowNull: true,
+    },
+    status: {
+        type: DataTypes.ENUM('PENDING', 'RUNNING', 'COMPLETED', 'FAILED', 'INTERRUPTED'),
+        allowNull: false,
+        defaultValue: 'PENDING',
+    },
+    started_at: {
+        type: DataTypes.DATE,
+        allowNull: true,
+    },
+    finished_at: {
+        type: DataTypes.DATE,
+        allowNull: true,
+    },
+
+    // Progress counters (mirrors the summary returned by the import services)
+    total_processed: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+    },
+    successful_inserts: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+    },
+    failed_inserts: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+    },
+    skipped_duplicates: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+    },
+    updated_orders: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+        comment: 'Upsert mode: existing orders that differed and were updated.',
+    },
+    unchanged_orders: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+        comment: 'Upsert mode: existing orders identical to the incoming data.',
+    },
+    warnings: {
+        type: DataTypes.JSON,
+        allowNull: false,
+        defaultValue: [],
+    },
+    error: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+    },
+}, {
+    tableName: 'import_jobs',
+    comment: 'History of order/refund imports and WooCommerce syncs.',
+});
+
+module.exports = ImportJob;
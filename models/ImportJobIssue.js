@@ -0,0 +1,35 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/db');
+
+const ImportJobIssue = sequelize.define('ImportJobIssue', {
+    kind: {
+        type: DataTypes.ENUM('SKIPPED', 'FAILED', 'DUPLICATE'),
+        allowNull: false,
+        comment: 'SKIPPED = rejected while parsing, FAILED = insert rolled back, DUPLICATE = bill already imported.',
+    },
+    bill_number: {
+        type: DataTypes.STRING(50),
+        allowNull: true,
+    },
+    row_numbers: {
+        type: DataTypes.JSON,
+        allowNull: false,
+        defaultValue: [],
+        comment: 'Spreadsheet row numbers of the order in the uploaded file (empty for API syncs).',
+    },
+    reason: {
+        type: DataTypes.TEXT,
+        allowNull: false,
+    },
+    source_rows: {
+        type: DataTypes.JSON,
+        allowNull: true,
+        comment: 'Original cell values keyed by header, so the rows can be exported for correction.',
+    },
+}, {
+    tableName: 'import_job_issues',
+    timestamps: false,
+    comment: 'Orders an import job skipped, failed or found to be duplicates.',
+});
+
+module.exports = ImportJobIssue;
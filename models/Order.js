@@ -16,10 +16,14 @@ const Order = sequelize.define('Order', {
         type: DataTypes.DATEONLY,
         allowNull: false,
     },
+    // Order-level discount taken off the subtotal. Discounts already inside the line values
+    // (e.g. WooCommerce coupons) are not repeated here.
     cart_discount_amount: {
         type: DataTypes.DECIMAL(10, 2),
         defaultValue: 0.00,
     },
+    // Sum of the line values (unit_cost_at_sale × quantity) BEFORE cart_discount_amount:
+    // subtotal − discount + tax = order total
     order_subtotal_amount: {
         type: DataTypes.DECIMAL(10, 2),
         allowNull: false,
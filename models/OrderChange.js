@@ -0,0 +1,25 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/db');
+
+const OrderChange = sequelize.define('OrderChange', {
+    // Note: Foreign Keys (orderId and importJobId) are defined in models/index.js
+    field: {
+        type: DataTypes.STRING(50),
+        allowNull: false,
+        comment: 'Order column that changed, "items" when the line items were replaced, or "customer.<field>" for customer data.',
+    },
+    old_value: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+    },
+    new_value: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+    },
+}, {
+    tableName: 'order_changes',
+    updatedAt: false, // History rows are never modified
+    comment: 'Per-field history of orders updated by upsert imports.',
+});
+
+module.exports = OrderChange;
@@ -24,6 +24,20 @@ const Product = sequelize.define('Product', {
         type: DataTypes.STRING(20),
         allowNull: true,
     },
+    uqc: {
+        type: DataTypes.STRING(3),
+        allowNull: true,
+        comment: 'Unit Quantity Code for the HSN summary (e.g. NOS).',
+    },
+    default_gst_rate: {
+        type: DataTypes.DECIMAL(5, 2),
+        allowNull: true,
+        comment: 'Expected GST rate; invoice lines with another rate are flagged on import.',
+    },
+    description: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+    },
 }, {
     tableName: 'products',
     // We only track creation/update timestamps here, not in order_items
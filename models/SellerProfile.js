@@ -0,0 +1,35 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/db');
+
+const SellerProfile = sequelize.define('SellerProfile', {
+    gstin: {
+        type: DataTypes.STRING(15),
+        allowNull: false,
+        comment: 'GSTIN of the registered seller filing the returns.',
+    },
+    legal_name: {
+        type: DataTypes.STRING(255),
+        allowNull: false,
+    },
+    home_state_code: {
+        type: DataTypes.STRING(2),
+        allowNull: false,
+        comment: 'Two-digit GST state code of the seller. Supplies to this state are intra-state.',
+    },
+    invoice_prefix: {
+        type: DataTypes.STRING(20),
+        allowNull: false,
+        comment: 'Prefix used for bill numbers and generated report file names (e.g. GNX).',
+    },
+    aggregate_turnover_slab: {
+        type: DataTypes.ENUM('UPTO_5_CR', 'ABOVE_5_CR'),
+        allowNull: false,
+        defaultValue: 'UPTO_5_CR',
+        comment: 'Previous-year aggregate turnover slab; sets the minimum HSN code length (4 or 6 digits).',
+    },
+}, {
+    tableName: 'seller_profiles',
+    comment: 'Single-row table holding the seller identity used by all GST computations.',
+});
+
+module.exports = SellerProfile;
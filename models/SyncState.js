@@ -0,0 +1,32 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/db');
+
+const SyncState = sequelize.define('SyncState', {
+    source: {
+        type: DataTypes.STRING(50),
+        allowNull: false,
+        unique: true,
+        comment: 'Name of the external system being synced (e.g. woocommerce).',
+    },
+    cursor: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        comment: 'Latest modification time (GMT) already fetched; the next run starts after it.',
+    },
+    last_run_at: {
+        type: DataTypes.DATE,
+        allowNull: true,
+    },
+    last_status: {
+        type: DataTypes.STRING(20),
+        allowNull: true,
+    },
+    last_error: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+    },
+}, {
+    tableName: 'sync_states',
+});
+
+module.exports = SyncState;
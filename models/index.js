@@ -2,6 +2,15 @@ const Customer = require('./Customer');
 const Order = require('./Order');
 const OrderItem = require('./OrderItem');
 const Product = require('./Product'); // <-- NEW: Import the Product Master Model
+const CreditNote = require('./CreditNote');
+const CreditNoteItem = require('./CreditNoteItem');
+const SellerProfile = require('./SellerProfile'); // Standalone: no associations
+const SyncState = require('./SyncState'); // Standalone: no associations
+const HsnCode = require('./HsnCode'); // Standalone: no associations
+const ImportJob = require('./ImportJob');
+const ImportJobIssue = require('./ImportJobIssue');
+const OrderChange = require('./OrderChange');
+const CustomerMerge = require('./CustomerMerge');
 
 // --- 1. Customer <--> Order (One-to-Many) ---
 // An Order belongs to ONE Customer
@@ -36,10 +45,100 @@ Product.hasMany(OrderItem, {
     foreignKey: 'productId' 
 });
 
+// --- 4. Order / Customer <--> CreditNote (One-to-Many) ---
+// A CreditNote is always raised against ONE original Order
+CreditNote.belongsTo(Order, { 
+    foreignKey: 'orderId', 
+    allowNull: false 
+});
+Order.hasMany(CreditNote, { 
+    foreignKey: 'orderId' 
+});
+// The Customer is stored on the note so CDNR/CDNUR can be built without the order join
+CreditNote.belongsTo(Customer, { 
+    foreignKey: 'customerId', 
+    allowNull: false 
+});
+Customer.hasMany(CreditNote, { 
+    foreignKey: 'customerId' 
+});
+
+// --- 5. CreditNote <--> CreditNoteItem (One-to-Many) ---
+CreditNoteItem.belongsTo(CreditNote, { 
+    foreignKey: 'creditNoteId', 
+    allowNull: false 
+});
+CreditNote.hasMany(CreditNoteItem, { 
+    foreignKey: 'creditNoteId' 
+});
+// A refunded line points back to the master product when it can be resolved
+CreditNoteItem.belongsTo(Product, { 
+    foreignKey: 'productId' 
+});
+Product.hasMany(CreditNoteItem, { 
+    foreignKey: 'productId' 
+});
+
+// --- 6. ImportJob <--> ImportJobIssue (One-to-Many) ---
+// Every skipped, failed or duplicate order is recorded against the job that saw it
+ImportJobIssue.belongsTo(ImportJob, { 
+    foreignKey: 'importJobId', 
+    allowNull: false 
+});
+ImportJob.hasMany(ImportJobIssue, { 
+    foreignKey: 'importJobId', 
+    onDelete: 'CASCADE' 
+});
+
+// --- 7. Order / ImportJob <--> OrderChange (One-to-Many) ---
+// Upsert imports log every changed field against the order and the job that changed it
+OrderChange.belongsTo(Order, { 
+    foreignKey: 'orderId', 
+    allowNull: false 
+});
+Order.hasMany(OrderChange, { 
+    foreignKey: 'orderId', 
+    onDelete: 'CASCADE' 
+});
+OrderChange.belongsTo(ImportJob, { 
+    foreignKey: 'importJobId' 
+});
+ImportJob.hasMany(OrderChange, { 
+    foreignKey: 'importJobId' 
+});
+
+// --- 8. Customer <--> CustomerMerge (One-to-Many) ---
+// The surviving profile of each merge; the merged profiles are kept as JSON on the log row
+CustomerMerge.belongsTo(Customer, { 
+    foreignKey: 'survivorId', 
+    allowNull: false 
+});
+Customer.hasMany(CustomerMerge, { 
+    foreignKey: 'survivorId' 
+});
+
+// --- 9. ImportJob <--> Order (One-to-Many) ---
+// The job that first inserted the order, so an import can be purged as a whole (null for older orders)
+Order.belongsTo(ImportJob, { 
+    foreignKey: 'importJobId' 
+});
+ImportJob.hasMany(Order, { 
+    foreignKey: 'importJobId' 
+});
+
 
 module.exports = {
     Customer,
     Order,
     OrderItem,
     Product, // <-- NEW: Export the Product Model
+    CreditNote,
+    CreditNoteItem,
+    SellerProfile,
+    SyncState,
+    HsnCode,
+    ImportJob,
+    ImportJobIssue,
+    OrderChange,
+    CustomerMerge,
 };
\ No newline at end of file
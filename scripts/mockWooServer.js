@@ -0,0 +1,181 @@
+/**
+ * A small stand-in for the WooCommerce REST API (/wp-json/wc/v3/orders).
+ *
+ *   node scripts/mockWooServer.js          checks paging, the sync cursor and order mapping, then exits
+ *   node scripts/mockWooServer.js --serve  keeps the mock running on WC_MOCK_PORT (default 8090) so a
+ *                                          real sync can be pointed at it with WC_BASE_URL
+ */
+require('dotenv').config();
+const assert = require('assert');
+const http = require('http');
+
+const { fetchOrdersPage, mapWooOrder, cursorAfterImport, wooConfigFromEnv } = require('../services/wooSyncService');
+const { checkOrderArithmetic } = require('../services/taxValidationService');
+
+const CONSUMER_KEY = 'ck_mock';
+const CONSUMER_SECRET = 'cs_mock';
+
+// Line taxes[].id refer to tax_lines[].rate_id
+const GST_18 = { id: 91, rate_id: 1, rate_code: 'IN-GST-1', label: 'GST', rate_percent: 18 };
+const { invoiceMetaKey } = wooConfigFromEnv();
+const invoiceMeta = number => (number ? [{ key: invoiceMetaKey, value: number }] : []);
+
+function mockOrder(id, modified, options = {}) {
+    return {
+        id,
+        number: String(1000 + id),
+        status: options.status || 'processing',
+        date_created: '2025-10-01T10:00:00',
+        date_paid: '2025-10-01T10:05:00',
+        date_modified_gmt: modified,
+        customer_id: 7,
+        billing: { first_name: 'Asha', last_name: 'Rao', state: 'KA', city: 'Bengaluru', postcode: '560001', country: 'IN', email: 'asha@example.com' },
+        meta_data: invoiceMeta(options.invoice === undefined ? `GNX/2025-26/${id}` : options.invoice),
+        tax_lines: [GST_18],
+        line_items: options.line_items || [
+            { product_id: 11, sku: 'MUG', name: 'Mug', quantity: 2, subtotal: '200.00', total: '200.00', total_tax: '36.00', taxes: [{ id: 1, total: '36.00' }] },
+        ],
+        shipping_lines: options.shipping_lines || [],
+        total_tax: options.total_tax || '36.00',
+        total: options.total || '236.00',
+        payment_method_title: 'UPI',
+    };
+}
+
+const ORDERS = [
+    mockOrder(1, '2025-10-01T10:00:00'),
+    mockOrder(2, '2025-10-02T10:00:00'),
+    // Paid but the invoice plugin has not numbered it yet
+    mockOrder(3, '2025-10-03T10:00:00', { invoice: null }),
+    mockOrder(4, '2025-10-04T10:00:00'),
+    mockOrder(5, '2025-10-05T10:00:00', { status: 'cancelled' }),
+    // ₹100 coupon on three units (₹300 → ₹200) plus ₹50 shipping, all at 18%
+    mockOrder(6, '2025-10-06T10:00:00', {
+        line_items: [
+            { product_id: 12, variation_id: 0, sku: 'BOWL', name: 'Bowl', quantity: 3, subtotal: '300.00', total: '200.00', total_tax: '36.00', taxes: [{ id: 1, total: '36.00' }] },
+        ],
+        shipping_lines: [{ id: 1, method_id: 'flat_rate', total: '50.00', total_tax: '9.00', taxes: [{ id: 1, total: '9.00' }] }],
+        total_tax: '45.00',
+        total: '295.00',
+    }),
+];
+
+/* Serves ORDERS the way WooCommerce does: oldest modification first, modified_after exclusive */
+function createMockServer(orders = ORDERS) {
+    const expectedAuth = `Basic ${Buffer.from(`${CONSUMER_KEY}:${CONSUMER_SECRET}`).toString('base64')}`;
+
+    return http.createServer((req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        if (url.pathname !== '/wp-json/wc/v3/orders') {
+            res.writeHead(404, { 'Content-Type': 'application/json' });
+            return res.end(JSON.stringify({ code: 'rest_no_route' }));
+        }
+        if (req.headers.authorization !== expectedAuth) {
+            res.writeHead(401, { 'Content-Type': 'application/json' });
+            return res.end(JSON.stringify({ code: 'woocommerce_rest_cannot_view' }));
+        }
+
+        const perPage = parseInt(url.searchParams.get('per_page'), 10) || 10;
+        const page = parseInt(url.searchParams.get('page'), 10) || 1;
+        const modifiedAfter = url.searchParams.get('modified_after');
+
+        const matching = orders
+            .filter(order => !modifiedAfter || new Date(`${order.date_modified_gmt}Z`) > new Date(modifiedAfter))
+            .sort((a, b) => a.date_modified_gmt.localeCompare(b.date_modified_gmt));
+        const totalPages = Math.max(1, Math.ceil(matching.length / perPage));
+
+        res.writeHead(200, {
+            'Content-Type': 'application/json',
+            'X-WP-Total': String(matching.length),
+            'X-WP-TotalPages': String(totalPages),
+        });
+        res.end(JSON.stringify(matching.slice((page - 1) * perPage, page * perPage)));
+    });
+}
+
+/* Pages through everything modified after the cursor, as syncWooOrders does */
+async function fetchAll(config, cursor, perPage) {
+    const orders = [];
+    let page = 1;
+    let totalPages = 1;
+    do {
+        const result = await fetchOrdersPage(config, { per_page: perPage, page, modified_after: cursor ? cursor.toISOString() : undefined });
+        totalPages = result.totalPages;
+        orders.push(...result.orders);
+        page++;
+    } while (page <= totalPages);
+    return { orders, totalPages };
+}
+
+async function runChecks(config) {
+    // Paging: six orders, two per page
+    const { orders, totalPages } = await fetchAll(config, null, 2);
+    assert.strictEqual(totalPages, 3);
+    assert.deepStrictEqual(orders.map(order => order.id), [1, 2, 3, 4, 5, 6]);
+
+    await assert.rejects(fetchOrdersPage({ ...config, consumerSecret: 'wrong' }, { page: 1 }), /HTTP 401/);
+
+    // Mapping: the coupon stays inside the line values and shipping becomes its own line
+    const mapped = mapWooOrder(ORDERS[5], config);
+    assert.strictEqual(mapped.bill_number, 'GNX/2025-26/6');
+    assert.strictEqual(mapped.state_name, 'Karnataka');
+    assert.strictEqual(mapped.cart_discount_amount, 0);
+    assert.strictEqual(mapped.order_subtotal_amount, 250);
+    assert.strictEqual(mapped.order_total_tax_amount, 45);
+    assert.strictEqual(mapped.order_total_amount, 295);
+    // ₹200 over three units does not divide, so the bowl becomes two lines a paisa apart
+    const bowls = mapped.items.filter(item => item.product_id === '12');
+    assert.deepStrictEqual(bowls.map(item => [item.quantity, item.unit_cost_at_sale, item.order_line_tax]), [[1, 66.66, 12], [2, 66.67, 24]]);
+    const shipping = mapped.items.find(item => item.product_id === 'shipping');
+    assert.ok(shipping, 'shipping line is mapped');
+    assert.strictEqual(shipping.hsn_code, config.shippingHsnCode);
+    assert.strictEqual(shipping.gst_rate, 18);
+    assert.strictEqual(shipping.unit_cost_at_sale, 50);
+    assert.deepStrictEqual(checkOrderArithmetic(mapped, { tolerance: 0, severities: {} }), []);
+    assert.strictEqual(mapWooOrder(ORDERS[2], config), null, 'an order without an invoice number is not mapped');
+
+    // Cursor: held back before order 3 (no invoice number yet), so the next run fetches it again
+    const modifiedTimes = orders.map(order => new Date(`${order.date_modified_gmt}Z`));
+    let cursor = cursorAfterImport(null, modifiedTimes, [modifiedTimes[2]]);
+    assert.strictEqual(cursor.toISOString(), '2025-10-02T10:00:00.000Z');
+    const retry = await fetchAll(config, cursor, 100);
+    assert.deepStrictEqual(retry.orders.map(order => order.id), [3, 4, 5, 6]);
+
+    // ...and held back before order 4 when it fails to import, even though later orders succeeded
+    cursor = cursorAfterImport(null, modifiedTimes, [modifiedTimes[3]]);
+    assert.strictEqual(cursor.toISOString(), '2025-10-03T10:00:00.000Z');
+
+    // Nothing held: the cursor moves to the newest modification seen and the next run is empty
+    cursor = cursorAfterImport(null, modifiedTimes, []);
+    assert.strictEqual(cursor.toISOString(), '2025-10-06T10:00:00.000Z');
+    assert.strictEqual((await fetchAll(config, cursor, 100)).orders.length, 0);
+
+    // A held order without a modification time: the whole window is fetched again
+    const previous = new Date('2025-09-30T00:00:00Z');
+    assert.strictEqual(cursorAfterImport(previous, modifiedTimes, [null]), previous);
+}
+
+function main() {
+    const serve = process.argv.includes('--serve');
+    const server = createMockServer();
+
+    server.listen(serve ? parseInt(process.env.WC_MOCK_PORT, 10) || 8090 : 0, '127.0.0.1', async () => {
+        const baseUrl = `http://127.0.0.1:${server.address().port}`;
+        if (serve) {
+            console.log(`Mock WooCommerce running at ${baseUrl} (WC_CONSUMER_KEY=${CONSUMER_KEY}, WC_CONSUMER_SECRET=${CONSUMER_SECRET}).`);
+            return;
+        }
+
+        try {
+            await runChecks({ ...wooConfigFromEnv(), baseUrl, consumerKey: CONSUMER_KEY, consumerSecret: CONSUMER_SECRET });
+            console.log('WooCommerce sync checks passed.');
+        } catch (error) {
+            console.error('WooCommerce sync check failed:', error);
+            process.exitCode = 1;
+        } finally {
+            server.close();
+        }
+    });
+}
+
+main();
@@ -0,0 +1,265 @@
+const ExcelJS = require('exceljs');
+const fs = require('fs');
+const path = require('path');
+const { sequelize } = require('../config/db');
+const { Order, OrderItem, Product, CreditNote, CreditNoteItem } = require('../models');
+const { saveJobProgress, recordJobIssues } = require('./importJobService');
+const { orderIssue } = require('./importService');
+const { readOrderFileRows, mapRow } = require('./orderFileParser');
+const { taxCheckConfigFromEnv } = require('./taxValidationService');
+const { prepareDownloadPath } = require('./downloads');
+const { toPaise, roundMoney, addMoney, lineTax: computeLineTax, allocateMoney, splitLineValue } = require('../config/money');
+
+// Refund file layout: one row per refunded line item, with the refund's own fields repeated on
+// each of its rows. Columns are the fields of a WooCommerce refund (GET /wp-json/wc/v3/orders/<id>/refunds)
+// and of its line_items[]; writeRefundTemplate() writes the same list as a blank template.
+const REFUND_COLUMNS = [
+    { header: 'Refund ID', key: 'refund_id', required: true, description: 'Refund "id". Rows with the same Refund ID make up one credit note.' },
+    { header: 'Refund Date', key: 'note_date', required: true, description: 'Refund "date_created", e.g. 2025-10-30T11:34:52. The credit note date.' },
+    { header: 'Order Number', key: 'order_number', required: false, description: 'Number of the refunded order. Used to find the invoice when Invoice Number is blank.' },
+    { header: 'Invoice Number', key: 'bill_number', required: false, description: 'Invoice (bill) number of the refunded order, as imported.' },
+    { header: 'Refund Amount', key: 'amount', required: false, description: 'Refund "amount" (tax included). Checked against the refunded lines.' },
+    { header: 'Refund Reason', key: 'reason', required: false, description: 'Refund "reason".' },
+    { header: 'Credit Note Number', key: 'note_number', required: false, description: 'Number reported in GSTR-1. Defaults to CN-<Refund ID>.' },
+    { header: 'Note Type', key: 'note_type', required: false, description: 'C (credit note, the default) or D (debit note).' },
+    { header: 'SKU', key: 'item_hash', required: false, description: 'Line item "sku".' },
+    { header: 'Product Id', key: 'product_id', required: true, description: 'Line item "variation_id" (or "product_id"): the Product Id the order was imported with. SKU is used when blank.' },
+    { header: 'Quantity', key: 'quantity', required: true, description: 'Line item "quantity". WooCommerce reports refunded quantities as negatives; the sign is ignored.' },
+    { header: 'Line Total', key: 'line_total', required: true, description: 'Line item "total": refunded value before tax (negative in WooCommerce; the sign is ignored).' },
+    { header: 'Line Tax', key: 'line_tax', required: false, description: 'Line item "total_tax". Computed from the GST rate when blank.' },
+    { header: 'GST Rate', key: 'gst_rate', required: false, description: 'GST rate in %, e.g. 18. Defaults to the rate of the product on the original invoice.' },
+];
+const REFUND_COLUMN_MAP = Object.fromEntries(REFUND_COLUMNS.map(column => [column.header, column.key]));
+
+const isBlank = value => value === undefined || value === null || value === '';
+
+/**
+ * Writes a blank refund file (first sheet) with a second sheet describing every column.
+ * @returns {string} Path of the XLSX under downloads/.
+ */
+async function writeRefundTemplate() {
+    const workbook = new ExcelJS.Workbook();
+
+    const refunds = workbook.addWorksheet('Refunds', { views: [{ state: 'frozen', ySplit: 1 }] });
+    refunds.columns = REFUND_COLUMNS.map(column => ({ header: column.header, key: column.key, width: 20 }));
+    refunds.getRow(1).font = { bold: true };
+
+    const columns = workbook.addWorksheet('Columns');
+    columns.columns = [
+        { header: 'Column', key: 'header', width: 22 },
+        { header: 'Required', key: 'required', width: 10 },
+        { header: 'Description', key: 'description', width: 100 },
+    ];
+    columns.getRow(1).font = { bold: true };
+    REFUND_COLUMNS.forEach(column => columns.addRow({ ...column, required: column.required ? 'Yes' : 'No' }));
+
+    const filename = 'refund-import-template.xlsx';
+    await workbook.xlsx.writeFile(await prepareDownloadPath(filename));
+    return path.join('downloads', filename);
+}
+
+/**
+ * Reads the refund file (XLSX or CSV, see REFUND_COLUMNS) and groups its lines into one entry
+ * per refund. Rows without a Refund ID, or without an invoice or order number, are skipped.
+ * Every refund keeps the file rows it came from (source_rows) for the job's error report.
+ * @returns {object} { headers, notes, skippedRows }
+ */
+async function parseRefundFile(filePath) {
+    const { headers, rows } = await readOrderFileRows(filePath);
+    const notesMap = new Map();
+    const skippedRows = [];
+
+    rows.forEach(row => {
+        const rowData = mapRow(row.values, REFUND_COLUMN_MAP);
+
+        if (isBlank(rowData.refund_id) || (isBlank(rowData.bill_number) && isBlank(rowData.order_number))) {
+            skippedRows.push(orderIssue('SKIPPED', { bill_number: rowData.bill_number, source_rows: [row] },
+                'Missing critical data (Refund ID, or Invoice/Order Number).'));
+            return;
+        }
+
+        const refundId = rowData.refund_id.toString().trim();
+        if (!notesMap.has(refundId)) {
+            notesMap.set(refundId, {
+                ...rowData,
+                refund_id: refundId,
+                note_number: (rowData.note_number || `CN-${refundId}`).toString().trim(),
+                items: [],
+                source_rows: [],
+            });
+        }
+        notesMap.get(refundId).source_rows.push(row);
+
+        // An amount-only refund has a row with no line item
+        if (isBlank(rowData.quantity) && isBlank(rowData.line_total)) return;
+        notesMap.get(refundId).items.push({
+            product_id: rowData.product_id || rowData.item_hash,
+            item_hash: rowData.item_hash,
+            gst_rate: rowData.gst_rate,
+            quantity: Math.abs(parseInt(rowData.quantity, 10) || 0),
+            line_total: Math.abs(roundMoney(rowData.line_total)),
+            line_tax: isBlank(rowData.line_tax) ? null : Math.abs(roundMoney(rowData.line_tax)),
+        });
+    });
+
+    return { headers, notes: Array.from(notesMap.values()), skippedRows };
+}
+
+/* The refunded order, by invoice number or else by WooCommerce order number */
+async function findRefundedOrder(noteData, t) {
+    if (!isBlank(noteData.bill_number)) {
+        return Order.findOne({ where: { bill_number: noteData.bill_number.toString().trim() }, transaction: t });
+    }
+    return Order.findOne({ where: { order_number: noteData.order_number.toString().trim() }, transaction: t });
+}
+
+/**
+ * Stores grouped refunds as credit notes, one transaction per note.
+ * Each note must reference an already imported bill; its customer is taken from that order.
+ * A refund whose amount differs from its lines (e.g. shipping refunded) is imported with a warning.
+ * Duplicate and failed notes are recorded as job issues, as for order imports.
+ * @returns {object} Summary of import results.
+ */
+async function importCreditNotes(groupedNotes, job) {
+    const { tolerance } = taxCheckConfigFromEnv();
+    const summary = {
+        totalProcessed: groupedNotes.length,
+        successfulInserts: 0,
+        failedInserts: 0,
+        skippedDuplicates: 0,
+        warnings: [],
+    };
+
+    for (const noteData of groupedNotes) {
+        // Persist the counters so far (read by the status endpoint for progress)
+        await saveJobProgress(job, summary);
+
+        const t = await sequelize.transaction();
+
+        try {
+            const existingNote = await CreditNote.findOne({
+                where: { note_number: noteData.note_number },
+                transaction: t,
+            });
+
+            if (existingNote) {
+                await t.rollback();
+                summary.skippedDuplicates++;
+                await recordJobIssues(job, [orderIssue('DUPLICATE', noteData, `Credit note ${noteData.note_number} has already been imported.`)]);
+                continue;
+            }
+
+            // 1. The original invoice determines the customer and GSTR-1 section
+            const order = await findRefundedOrder(noteData, t);
+            if (!order) {
+                throw new Error(isBlank(noteData.bill_number)
+                    ? `Order ${noteData.order_number} has not been imported.`
+                    : `Original bill ${noteData.bill_number} has not been imported.`);
+            }
+            if (isBlank(noteData.note_date)) {
+                throw new Error(`Refund ${noteData.refund_id} has no Refund Date.`);
+            }
+            if (noteData.items.length === 0) {
+                throw new Error(`Refund ${noteData.refund_id} has no line items, so its taxable value and tax cannot be told apart.`);
+            }
+
+            // 2. Resolve line items and derive the note totals from them
+            const itemsToInsert = [];
+            let subtotal = 0;
+            let totalTax = 0;
+            for (const itemData of noteData.items) {
+                const product = itemData.product_id
+                    ? await Product.findOne({ where: { product_id: itemData.product_id }, transaction: t })
+                    : null;
+
+                // The rate the product was invoiced at, unless the file gives one
+                const invoicedLine = !isBlank(itemData.gst_rate) || !product ? null : await OrderItem.findOne({
+                    where: { orderId: order.id, productId: product.id },
+                    transaction: t,
+                });
+                const gstRate = parseFloat(invoicedLine ? invoicedLine.gst_rate : itemData.gst_rate) || 0.00;
+                const taxable = itemData.line_total;
+                const lineTax = itemData.line_tax !== null ? itemData.line_tax : computeLineTax(taxable, gstRate);
+
+                subtotal = addMoney(subtotal, taxable);
+                totalTax = addMoney(totalTax, lineTax);
+                // Stored as unit cost × quantity, split so the parts add up to the refunded line total
+                const parts = splitLineValue(taxable, itemData.quantity);
+                const partTaxes = allocateMoney(lineTax, parts.map(part => part.quantity));
+                parts.forEach((part, index) => itemsToInsert.push({
+                    item_hash: itemData.item_hash || itemData.product_id || 'N/A',
+                    quantity: part.quantity,
+                    unit_cost: part.unitCost,
+                    gst_rate: gstRate,
+                    line_tax: partTaxes[index],
+                    productId: product ? product.id : null,
+                }));
+            }
+
+            // 3. CREDIT NOTE INSERTION
+            const newNote = await CreditNote.create({
+                note_number: noteData.note_number,
+                note_type: noteData.note_type === 'D' ? 'D' : 'C',
+                note_date: new Date(noteData.note_date),
+                refund_id: noteData.refund_id,
+                reason: noteData.reason,
+                note_subtotal_amount: subtotal,
+                note_total_tax_amount: totalTax,
+                note_total_amount: addMoney(subtotal, totalTax),
+                orderId: order.id,
+                customerId: order.customerId,
+            }, { transaction: t });
+
+            if (itemsToInsert.length > 0) {
+                await CreditNoteItem.bulkCreate(
+                    itemsToInsert.map(item => ({ ...item, creditNoteId: newNote.id })),
+                    { transaction: t }
+                );
+            }
+
+            await t.commit();
+            summary.successfulInserts++;
+
+            const noteTotal = addMoney(subtotal, totalTax);
+            if (!isBlank(noteData.amount) && Math.abs(toPaise(Math.abs(roundMoney(noteData.amount))) - toPaise(noteTotal)) > toPaise(tolerance)) {
+                summary.warnings.push({
+                    bill_number: order.bill_number,
+                    message: `Refund ${noteData.refund_id} is for ${Math.abs(roundMoney(noteData.amount))} but its lines add up to ${noteTotal}; credit note ${noteData.note_number} covers the lines only.`,
+                });
+            }
+
+        } catch (error) {
+            await t.rollback();
+            summary.failedInserts++;
+            console.error(`Failed to import credit note ${noteData.note_number}:`, error.message);
+            await recordJobIssues(job, [orderIssue('FAILED', noteData, `Credit note ${noteData.note_number}: ${error.message}`)]);
+        }
+    }
+
+    return summary;
+}
+
+/**
+ * Main function to process a refund file and store credit notes transactionally.
+ * Rows the parser skips are recorded as SKIPPED issues before the import starts.
+ * @param {string} filePath - Path to the uploaded XLSX or CSV file (columns: REFUND_COLUMNS; deleted afterwards, even when the import fails).
+ * @param {object} job - ImportJob record that receives progress updates.
+ * @returns {object} Summary of import results.
+ */
+async function processRefundFile(filePath, job) {
+    try {
+        const { headers, notes, skippedRows } = await parseRefundFile(filePath);
+
+        await job.update({ source_headers: headers });
+        await recordJobIssues(job, skippedRows);
+
+        return await importCreditNotes(notes, job);
+    } finally {
+        // Clean up the uploaded file, also when it could not be parsed or the import failed
+        fs.unlink(filePath, (err) => {
+            if (err) console.error('Error deleting file:', err);
+        });
+    }
+}
+
+module.exports = { processRefundFile, writeRefundTemplate };
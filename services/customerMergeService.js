@@ -0,0 +1,372 @@
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/db');
+const { Customer, CustomerMerge, Order, CreditNote } = require('../models');
+const { normalizeGstin, findGstinIssue } = require('../config/gst');
+
+// Score contributed by each duplicate signal (a pair's score is capped at 100)
+const SIGNAL_SCORES = {
+    gstin: 50,
+    phone: 35,
+    email: 35,
+    name: 30, // scaled by the name similarity
+    pincode: 10,
+};
+const NAME_SIMILARITY_THRESHOLD = 0.75;
+// Keys shared by more customers than this (e.g. a courier's pincode) are too common to pair on
+const MAX_BLOCK_SIZE = 50;
+
+// Company suffixes and filler that make otherwise identical names look different
+const NAME_STOPWORDS = ['m/s', 'ms', 'the', 'pvt', 'private', 'ltd', 'limited', 'llp', 'co', 'company', 'inc'];
+
+const PLACEHOLDER_VALUES = ['', 'n/a', 'na', 'none', '-'];
+
+function parseJsonArray(value) {
+    const parsed = typeof value === 'string' ? JSON.parse(value) : value;
+    return Array.isArray(parsed) ? parsed : [];
+}
+
+function isPlaceholder(value) {
+    return PLACEHOLDER_VALUES.includes((value || '').toString().trim().toLowerCase());
+}
+
+function normalizeName(name) {
+    if (isPlaceholder(name)) return '';
+    return name.toString().toLowerCase()
+        .replace(/[^a-z0-9/ ]+/g, ' ')
+        .split(/\s+/)
+        .filter(word => word && !NAME_STOPWORDS.includes(word))
+        .join(' ');
+}
+
+/* Dice coefficient over character bigrams: 1 for identical names, 0 for nothing in common */
+function nameSimilarity(a, b) {
+    if (!a || !b) return 0;
+    if (a === b) return 1;
+    const bigrams = text => {
+        const compact = text.replace(/\s+/g, '');
+        const grams = new Map();
+        for (let i = 0; i < compact.length - 1; i++) {
+            const gram = compact.substring(i, i + 2);
+            grams.set(gram, (grams.get(gram) || 0) + 1);
+        }
+        return grams;
+    };
+    const gramsA = bigrams(a);
+    const gramsB = bigrams(b);
+    let overlap = 0;
+    let total = 0;
+    gramsA.forEach((count, gram) => {
+        overlap += Math.min(count, gramsB.get(gram) || 0);
+        total += count;
+    });
+    gramsB.forEach(count => { total += count; });
+    return total ? (2 * overlap) / total : 0;
+}
+
+/* Lookup keys for one customer; two customers sharing any key become a candidate pair */
+function customerProfile(customer) {
+    const emails = new Set(parseJsonArray(customer.all_emails).map(e => e.toString().trim().toLowerCase()));
+    if (customer.email) emails.add(customer.email.toString().trim().toLowerCase());
+    const names = [normalizeName(customer.party_name), normalizeName(customer.company_billing)].filter(Boolean);
+
+    return {
+        customer,
+        gstin: isPlaceholder(customer.gst_number) ? null : customer.gst_number.toString().trim().toUpperCase(),
+        phones: new Set(parseJsonArray(customer.all_phones).map(p => p.toString()).filter(p => !isPlaceholder(p))),
+        emails,
+        names,
+        pincode: isPlaceholder(customer.pincode) ? null : customer.pincode.toString().trim(),
+    };
+}
+
+function blockingKeys(profile) {
+    const keys = [];
+    if (profile.gstin) keys.push(`gstin:${profile.gstin}`);
+    profile.phones.forEach(phone => keys.push(`phone:${phone}`));
+    profile.emails.forEach(email => keys.push(`email:${email}`));
+    // Names are compared only within the same first word, which keeps the pair count small
+    profile.names.forEach(name => keys.push(`name:${name.split(' ')[0]}`));
+    return keys;
+}
+
+function scorePair(a, b) {
+    const reasons = [];
+    let score = 0;
+
+    if (a.gstin && a.gstin === b.gstin) {
+        score += SIGNAL_SCORES.gstin;
+        reasons.push(`Same GSTIN ${a.gstin}`);
+    }
+    const sharedPhones = [...a.phones].filter(phone => b.phones.has(phone));
+    if (sharedPhones.length > 0) {
+        score += SIGNAL_SCORES.phone;
+        reasons.push(`Shared phone ${sharedPhones.join(', ')}`);
+    }
+    const sharedEmails = [...a.emails].filter(email => b.emails.has(email));
+    if (sharedEmails.length > 0) {
+        score += SIGNAL_SCORES.email;
+        reasons.push(`Shared email ${sharedEmails.join(', ')}`);
+    }
+    let bestSimilarity = 0;
+    a.names.forEach(nameA => b.names.forEach(nameB => {
+        bestSimilarity = Math.max(bestSimilarity, nameSimilarity(nameA, nameB));
+    }));
+    if (bestSimilarity >= NAME_SIMILARITY_THRESHOLD) {
+        score += Math.round(SIGNAL_SCORES.name * bestSimilarity);
+        reasons.push(`Similar name (${Math.round(bestSimilarity * 100)}%)`);
+    }
+    if (score > 0 && a.pincode && a.pincode === b.pincode) {
+        // A shared pincode only supports other evidence
+        score += SIGNAL_SCORES.pincode;
+        reasons.push(`Same pincode ${a.pincode}`);
+    }
+
+    return { score: Math.min(score, 100), reasons };
+}
+
+function candidateSummary(customer) {
+    return {
+        id: customer.id,
+        party_name: customer.party_name,
+        company_billing: customer.company_billing,
+        email: customer.email,
+        gst_number: customer.gst_number,
+        state_name: customer.state_name,
+        pincode: customer.pincode,
+        all_phones: parseJsonArray(customer.all_phones),
+        all_emails: parseJsonArray(customer.all_emails),
+    };
+}
+
+/**
+ * Lists pairs of customers that are probably the same party, highest score first.
+ * Signals: shared GSTIN, shared phone or e-mail, similar party/company name, same pincode.
+ * @param {object} options - { minScore = 40, limit = 100 }
+ */
+async function findDuplicateCandidates({ minScore = 40, limit = 100 } = {}) {
+    const threshold = parseInt(minScore, 10) || 0;
+    const maxResults = Math.min(Math.max(parseInt(limit, 10) || 100, 1), 1000);
+
+    const customers = await Customer.findAll({ order: [['id', 'ASC']] });
+    const profiles = customers.map(customerProfile);
+
+    const blocks = new Map();
+    profiles.forEach((profile, index) => {
+        blockingKeys(profile).forEach(key => {
+            if (!blocks.has(key)) blocks.set(key, []);
+            blocks.get(key).push(index);
+        });
+    });
+
+    const seenPairs = new Set();
+    const candidates = [];
+    blocks.forEach(members => {
+        if (members.length < 2 || members.length > MAX_BLOCK_SIZE) return;
+        for (let i = 0; i < members.length; i++) {
+            for (let j = i + 1; j < members.length; j++) {
+                const pairKey = `${members[i]}|${members[j]}`;
+                if (seenPairs.has(pairKey)) continue;
+                seenPairs.add(pairKey);
+
+                const { score, reasons } = scorePair(profiles[members[i]], profiles[members[j]]);
+                if (score >= threshold && score > 0) {
+                    candidates.push({
+                        score,
+                        reasons,
+                        customers: [candidateSummary(customers[members[i]]), candidateSummary(customers[members[j]])],
+                    });
+                }
+            }
+        }
+    });
+
+    candidates.sort((a, b) => b.score - a.score);
+    return { total: candidates.length, candidates: candidates.slice(0, maxResults) };
+}
+
+function union(...lists) {
+    return Array.from(new Set(lists.flat().filter(Boolean)));
+}
+
+// Survivor fields a merge may overwrite; their old values are kept in survivor_before for undo
+const SURVIVOR_TAX_FIELDS = ['gst_number', 'state_name', 'gstin_flagged', 'gstin_issue'];
+
+/*
+ * Decides the GSTIN and state the survivor keeps. Profiles with different GSTINs are separate
+ * registrations, so the caller has to pick one; the state follows the profile that owns it.
+ * Returns { error } when the caller must choose, otherwise { gst_number, state_name, gstin_flagged, gstin_issue }.
+ */
+function survivingTaxDetails(survivor, duplicates, { gstNumber, stateName }) {
+    const owners = new Map();
+    [survivor, ...duplicates].forEach(customer => {
+        const gstin = isPlaceholder(customer.gst_number) ? null : normalizeGstin(customer.gst_number);
+        if (gstin && !owners.has(gstin)) owners.set(gstin, customer);
+    });
+    const gstins = [...owners.keys()];
+
+    let chosen;
+    if (gstNumber !== undefined) {
+        chosen = normalizeGstin(gstNumber);
+        if (chosen && !owners.has(chosen)) {
+            return { error: `gstNumber must be one of the merged customers' GSTINs: ${gstins.join(', ') || 'none'}.` };
+        }
+    } else if (gstins.length > 1) {
+        return { error: `The customers have different GSTINs (${gstins.join(', ')}). Pass gstNumber (and optionally stateName) to choose the one the survivor keeps.` };
+    } else {
+        chosen = gstins[0] || null;
+    }
+
+    const owner = chosen ? owners.get(chosen) : survivor;
+    const state = (stateName || '').toString().trim() || owner.state_name || survivor.state_name;
+    const gstinIssue = chosen ? findGstinIssue(chosen, state) : null;
+    return { gst_number: chosen, state_name: state, gstin_flagged: Boolean(gstinIssue), gstin_issue: gstinIssue };
+}
+
+/**
+ * Folds duplicate customers into a survivor: their orders and credit notes move to the
+ * survivor, contact arrays are unioned and the duplicates are deleted. Everything needed to
+ * undo the merge is stored in customer_merges. Customers with different GSTINs are only
+ * merged when the caller names the GSTIN to keep.
+ * @param {number} survivorId - Customer that is kept.
+ * @param {Array<number>} duplicateIds - Customers merged into the survivor.
+ * @param {object} [options] - { mergedBy, gstNumber, stateName }: gstNumber/stateName choose the
+ *                             survivor's GSTIN and state (default: the only GSTIN, and its owner's state).
+ * @returns {object} { success, message, merge_id? }
+ */
+async function mergeCustomers(survivorId, duplicateIds, { mergedBy, gstNumber, stateName } = {}) {
+    const ids = Array.from(new Set((duplicateIds || []).map(id => parseInt(id, 10)).filter(Boolean)));
+    if (!survivorId || ids.length === 0) {
+        return { success: false, message: 'survivorId and at least one duplicate customer id are required.' };
+    }
+    if (ids.includes(parseInt(survivorId, 10))) {
+        return { success: false, message: 'The surviving customer cannot also be merged as a duplicate.' };
+    }
+
+    const t = await sequelize.transaction();
+    try {
+        const survivor = await Customer.findByPk(survivorId, { transaction: t, lock: t.LOCK.UPDATE });
+        const duplicates = await Customer.findAll({ where: { id: { [Op.in]: ids } }, transaction: t, lock: t.LOCK.UPDATE });
+        if (!survivor || duplicates.length !== ids.length) {
+            await t.rollback();
+            const found = duplicates.map(d => d.id);
+            const missing = [survivor ? null : survivorId, ...ids.filter(id => !found.includes(id))].filter(Boolean);
+            return { success: false, message: `Customer(s) not found: ${missing.join(', ')}.` };
+        }
+
+        const taxDetails = survivingTaxDetails(survivor, duplicates, { gstNumber, stateName });
+        if (taxDetails.error) {
+            await t.rollback();
+            return { success: false, message: taxDetails.error };
+        }
+
+        const movedOrders = await Order.findAll({ attributes: ['id', 'customerId'], where: { customerId: { [Op.in]: ids } }, raw: true, transaction: t });
+        const movedNotes = await CreditNote.findAll({ attributes: ['id', 'customerId'], where: { customerId: { [Op.in]: ids } }, raw: true, transaction: t });
+
+        const survivorBefore = {
+            all_emails: parseJsonArray(survivor.all_emails),
+            all_phones: parseJsonArray(survivor.all_phones),
+            ...Object.fromEntries(SURVIVOR_TAX_FIELDS.map(field => [field, survivor[field]])),
+        };
+        const merge = await CustomerMerge.create({
+            survivorId: survivor.id,
+            merged_customers: duplicates.map(d => d.get({ plain: true })),
+            moved_orders: movedOrders,
+            moved_credit_notes: movedNotes,
+            survivor_before: survivorBefore,
+            merged_by: mergedBy || null,
+        }, { transaction: t });
+
+        await Order.update({ customerId: survivor.id }, { where: { customerId: { [Op.in]: ids } }, transaction: t });
+        await CreditNote.update({ customerId: survivor.id }, { where: { customerId: { [Op.in]: ids } }, transaction: t });
+
+        // Primary e-mails of the duplicates are kept as alternates of the survivor
+        await survivor.update({
+            all_emails: JSON.stringify(union(survivorBefore.all_emails, ...duplicates.map(d => [d.email, ...parseJsonArray(d.all_emails)]))),
+            all_phones: JSON.stringify(union(survivorBefore.all_phones, ...duplicates.map(d => parseJsonArray(d.all_phones)))),
+            ...taxDetails,
+        }, { transaction: t });
+
+        await Customer.destroy({ where: { id: { [Op.in]: ids } }, transaction: t });
+
+        await t.commit();
+        return {
+            success: true,
+            message: `Merged ${ids.length} customer(s) into customer ${survivor.id}; moved ${movedOrders.length} order(s).`,
+            merge_id: merge.id,
+        };
+
+    } catch (error) {
+        await t.rollback();
+        throw error;
+    }
+}
+
+/**
+ * Reverses a merge: recreates the merged customers with their original ids, moves their
+ * orders and credit notes back and restores the survivor's contact arrays, GSTIN and state.
+ * @returns {object} { success, message }
+ */
+async function undoMerge(mergeId) {
+    const t = await sequelize.transaction();
+    try {
+        const merge = await CustomerMerge.findByPk(mergeId, { transaction: t, lock: t.LOCK.UPDATE });
+        if (!merge) {
+            await t.rollback();
+            return { success: false, message: 'Merge not found.' };
+        }
+        if (merge.undone_at) {
+            await t.rollback();
+            return { success: false, message: `Merge ${merge.id} was already undone.` };
+        }
+
+        const mergedCustomers = parseJsonArray(merge.merged_customers);
+        for (const data of mergedCustomers) {
+            await Customer.create({
+                ...data,
+                all_emails: JSON.stringify(parseJsonArray(data.all_emails)),
+                all_phones: JSON.stringify(parseJsonArray(data.all_phones)),
+            }, { transaction: t });
+        }
+        for (const { id, customerId } of parseJsonArray(merge.moved_orders)) {
+            await Order.update({ customerId }, { where: { id }, transaction: t });
+        }
+        for (const { id, customerId } of parseJsonArray(merge.moved_credit_notes)) {
+            await CreditNote.update({ customerId }, { where: { id }, transaction: t });
+        }
+
+        const survivorBefore = typeof merge.survivor_before === 'string' ? JSON.parse(merge.survivor_before) : merge.survivor_before;
+        // Merges recorded before the GSTIN and state were snapshotted only restore the contacts
+        const restoredTaxFields = SURVIVOR_TAX_FIELDS.filter(field => field in survivorBefore);
+        await Customer.update({
+            all_emails: JSON.stringify(survivorBefore.all_emails),
+            all_phones: JSON.stringify(survivorBefore.all_phones),
+            ...Object.fromEntries(restoredTaxFields.map(field => [field, survivorBefore[field]])),
+        }, { where: { id: merge.survivorId }, transaction: t });
+
+        await merge.update({ undone_at: new Date() }, { transaction: t });
+        await t.commit();
+        return { success: true, message: `Merge ${merge.id} undone; restored ${mergedCustomers.length} customer(s).` };
+
+    } catch (error) {
+        await t.rollback();
+        throw error;
+    }
+}
+
+/**
+ * Lists merges, newest first.
+ */
+async function listMerges() {
+    const merges = await CustomerMerge.findAll({ order: [['id', 'DESC']] });
+    return merges.map(merge => ({
+        merge_id: merge.id,
+        survivor_id: merge.survivorId,
+        merged_customer_ids: parseJsonArray(merge.merged_customers).map(c => c.id),
+        moved_orders: parseJsonArray(merge.moved_orders).length,
+        merged_by: merge.merged_by,
+        merged_at: merge.createdAt,
+        undone_at: merge.undone_at,
+    }));
+}
+
+module.exports = { findDuplicateCandidates, mergeCustomers, undoMerge, listMerges };
@@ -0,0 +1,187 @@
+const { QueryTypes } = require('sequelize');
+const { sequelize } = require('../config/db');
+const { Customer } = require('../models');
+const { stateCodeFromName, normalizeGstin, findGstinIssue } = require('../config/gst');
+const { roundMoney, sumMoney } = require('../config/money');
+
+// Sort keys accepted by listCustomers -> SQL expression
+const CUSTOMER_SORTS = {
+    lifetime_value: 'lifetime_value',
+    last_order_date: 'last_order_date',
+    party_name: 'C.party_name',
+    id: 'C.id',
+};
+
+function parseJsonArray(value) {
+    const parsed = typeof value === 'string' ? JSON.parse(value) : value;
+    return Array.isArray(parsed) ? parsed : [];
+}
+
+/* WHERE clause shared by the page query and the count query */
+function buildCustomerFilter({ q, state }) {
+    const conditions = [];
+    const replacements = {};
+
+    if (q) {
+        // JSON_SEARCH honours LIKE wildcards, so it matches any element of the contact arrays
+        conditions.push(`(
+            C.party_name LIKE :like OR C.company_billing LIKE :like OR C.gst_number LIKE :like
+            OR C.email LIKE :like OR C.state_name LIKE :like
+            OR JSON_SEARCH(C.all_emails, 'one', :like) IS NOT NULL
+            OR JSON_SEARCH(C.all_phones, 'one', :like) IS NOT NULL
+        )`);
+        replacements.like = `%${q.toString().trim()}%`;
+    }
+    if (state) {
+        conditions.push('C.state_name LIKE :state');
+        replacements.state = `%${state.toString().trim()}%`;
+    }
+
+    return { where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '', replacements };
+}
+
+/**
+ * Searches customers with their order count, lifetime value and last order date.
+ * `q` matches party name, company, GSTIN, state and any stored e-mail or phone.
+ * @param {object} options - { q?, state?, sort = 'last_order_date', order = 'desc', page = 1, pageSize = 20 }
+ */
+async function listCustomers({ q, state, sort = 'last_order_date', order = 'desc', page = 1, pageSize = 20 } = {}) {
+    const limit = Math.min(Math.max(parseInt(pageSize, 10) || 20, 1), 100);
+    const currentPage = Math.max(parseInt(page, 10) || 1, 1);
+    const sortExpression = CUSTOMER_SORTS[sort] || CUSTOMER_SORTS.last_order_date;
+    const direction = order.toString().toLowerCase() === 'asc' ? 'ASC' : 'DESC';
+    const { where, replacements } = buildCustomerFilter({ q, state });
+
+    const rows = await sequelize.query(`
+        SELECT
+            C.id, C.party_name, C.company_billing, C.email, C.gst_number, C.gstin_flagged,
+            C.state_name, C.all_emails, C.all_phones,
+            COUNT(O.id) AS order_count,
+            COALESCE(SUM(O.order_total_amount), 0) AS lifetime_value,
+            DATE_FORMAT(MAX(O.order_date), '%Y-%m-%d') AS last_order_date
+        FROM customers C
+        LEFT JOIN orders O ON O.customer_id = C.id
+        ${where}
+        GROUP BY C.id
+        ORDER BY ${sortExpression} ${direction}, C.id ASC
+        LIMIT :limit OFFSET :offset;
+    `, { replacements: { ...replacements, limit, offset: (currentPage - 1) * limit }, type: QueryTypes.SELECT });
+
+    const [countRow] = await sequelize.query(`
+        SELECT COUNT(*) AS total FROM customers C ${where};
+    `, { replacements, type: QueryTypes.SELECT });
+    const total = parseInt(countRow.total, 10) || 0;
+
+    return {
+        customers: rows.map(r => ({
+            ...r,
+            gstin_flagged: Boolean(r.gstin_flagged),
+            all_emails: parseJsonArray(r.all_emails),
+            all_phones: parseJsonArray(r.all_phones),
+            order_count: parseInt(r.order_count, 10) || 0,
+            lifetime_value: roundMoney(r.lifetime_value),
+        })),
+        pagination: { page: currentPage, pageSize: limit, total, totalPages: Math.ceil(total / limit) },
+    };
+}
+
+/**
+ * Returns a customer profile with its order history and totals, or null if it does not exist.
+ */
+async function getCustomer(customerId) {
+    const customer = await Customer.findByPk(customerId);
+    if (!customer) return null;
+
+    const orders = await sequelize.query(`
+        SELECT
+            O.bill_number, O.order_number,
+            DATE_FORMAT(O.order_date, '%Y-%m-%d') AS order_date,
+            O.order_subtotal_amount, O.order_total_tax_amount, O.order_total_amount,
+            O.payment_method,
+            (SELECT COUNT(*) FROM order_items I WHERE I.order_id = O.id) AS item_count
+        FROM orders O
+        WHERE O.customer_id = :customerId
+        ORDER BY O.order_date DESC, O.id DESC;
+    `, { replacements: { customerId: customer.id }, type: QueryTypes.SELECT });
+
+    const history = orders.map(r => ({
+        ...r,
+        order_subtotal_amount: roundMoney(r.order_subtotal_amount),
+        order_total_tax_amount: roundMoney(r.order_total_tax_amount),
+        order_total_amount: roundMoney(r.order_total_amount),
+        item_count: parseInt(r.item_count, 10) || 0,
+    }));
+    const sum = key => sumMoney(history.map(r => r[key]));
+
+    return {
+        customer: {
+            ...customer.get({ plain: true }),
+            all_emails: parseJsonArray(customer.all_emails),
+            all_phones: parseJsonArray(customer.all_phones),
+        },
+        totals: {
+            order_count: history.length,
+            taxable_value: sum('order_subtotal_amount'),
+            tax: sum('order_total_tax_amount'),
+            lifetime_value: sum('order_total_amount'),
+            first_order_date: history.length > 0 ? history[history.length - 1].order_date : null,
+            last_order_date: history.length > 0 ? history[0].order_date : null,
+        },
+        orders: history,
+    };
+}
+
+/**
+ * Corrects a customer's GSTIN, state and/or address. The GSTIN is checked exactly as on
+ * import (format, check digit, state code vs billing state), but a failing value is
+ * rejected here instead of being stored with a flag.
+ * @param {object} data - { gst_number?, state_name?, address?, pincode? }; gst_number "" clears it.
+ * @returns {object} { success, message, customer? }
+ */
+async function updateCustomer(customerId, data) {
+    const customer = await Customer.findByPk(customerId);
+    if (!customer) {
+        return { success: false, notFound: true, message: 'Customer not found.' };
+    }
+
+    const updates = {};
+    if (data.state_name !== undefined) {
+        if (!stateCodeFromName(data.state_name)) {
+            return { success: false, message: `Unknown state "${data.state_name}".` };
+        }
+        updates.state_name = data.state_name.toString().trim();
+    }
+    if (data.address !== undefined) {
+        if (!data.address || !data.address.toString().trim()) {
+            return { success: false, message: 'address cannot be empty.' };
+        }
+        updates.address = data.address.toString().trim();
+    }
+    if (data.pincode !== undefined) {
+        if (!/^[1-9][0-9]{5}$/.test((data.pincode || '').toString().trim())) {
+            return { success: false, message: 'pincode must be a 6-digit Indian PIN code.' };
+        }
+        updates.pincode = data.pincode.toString().trim();
+    }
+    if (data.gst_number !== undefined) {
+        updates.gst_number = normalizeGstin(data.gst_number);
+    }
+    if (Object.keys(updates).length === 0) {
+        return { success: false, message: 'Nothing to update. Send gst_number, state_name, address or pincode.' };
+    }
+
+    // Re-check the resulting GSTIN/state pair, whichever of the two changed
+    const gstNumber = updates.gst_number !== undefined ? updates.gst_number : customer.gst_number;
+    const stateName = updates.state_name || customer.state_name;
+    const gstinIssue = gstNumber ? findGstinIssue(gstNumber, stateName) : null;
+    if (gstinIssue) {
+        return { success: false, message: gstinIssue };
+    }
+    updates.gstin_flagged = false;
+    updates.gstin_issue = null;
+
+    await customer.update(updates);
+    return { success: true, message: 'Customer updated successfully.', customer: customer.get({ plain: true }) };
+}
+
+module.exports = { listCustomers, getCustomer, updateCustomer };
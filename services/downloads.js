@@ -0,0 +1,13 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+// Generated reports are written here and served statically under /downloads (see app.js)
+const DOWNLOADS_DIR = path.join(__dirname, '..', 'downloads');
+
+/* Absolute path for a file under downloads/, creating the folder if needed */
+async function prepareDownloadPath(filename) {
+    await fs.mkdir(DOWNLOADS_DIR, { recursive: true });
+    return path.join(DOWNLOADS_DIR, filename);
+}
+
+module.exports = { prepareDownloadPath };
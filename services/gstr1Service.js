@@ -1,155 +1,345 @@
 const ExcelJS = require('exceljs');
 const fs = require('fs').promises;
 const path = require('path');
+const { prepareDownloadPath } = require('./downloads');
 const { sequelize } = require('../config/db');
 const { QueryTypes } = require('sequelize');
+const { STATE_CODE_TO_NAME, GST_RATES, GSTIN_REGEX, stateCodeFromName, isMissingState, validateGstin, formatUqc, findGstinIssue } = require('../config/gst');
+const { getSellerProfile } = require('./sellerProfileService');
+const { findHsnEntries, findHsnIssue } = require('./hsnService');
+const { documentIssueSeries, unconfirmedSeriesGaps, fetchBillNumbers } = require('./invoiceSeriesService');
+const { roundMoney, formatMoney, sumMoney, addMoney, splitTax } = require('../config/money');
 
 /* ------------------------------------------------------------------------------------------------
-   STATE CODE MAP & HELPERS
+   STATE CODE HELPERS
 ------------------------------------------------------------------------------------------------ */
-const STATE_CODES = {
-  'Jammu & Kashmir': '01', 'Himachal Pradesh': '02', 'Punjab': '03', 'Chandigarh': '04',
-  'Uttarakhand': '05', 'Haryana': '06', 'Delhi': '07', 'Rajasthan': '08',
-  'Uttar Pradesh': '09', 'Bihar': '10', 'Sikkim': '11', 'Arunachal Pradesh': '12',
-  'Nagaland': '13', 'Manipur': '14', 'Mizoram': '15', 'Tripura': '16',
-  'Meghalaya': '17', 'Assam': '18', 'West Bengal': '19', 'Jharkhand': '20',
-  'Odisha': '21', 'Chhattisgarh': '22', 'Madhya Pradesh': '23', 'Gujarat': '24',
-  'Daman & Diu': '25', 'Dadra & Nagar Haveli': '26', 'Maharashtra': '27',
-  'Andhra Pradesh (Old)': '28', 'Karnataka': '29', 'Goa': '30', 'Lakshadweep': '31',
-  'Kerala': '32', 'Tamil Nadu': '33', 'Puducherry': '34', 'Andaman & Nicobar Islands': '35',
-  'Telangana': '36', 'Andhra Pradesh': '37', 'Ladakh': '38',
-  'Others Territory': '97', 'Center Jurisdiction': '99'
-};
-
-const STATE_CODE_TO_NAME = Object.fromEntries(
-  Object.entries(STATE_CODES).map(([name, code]) => [code, name])
-);
+/* Customers with no billing state at all (flagged at import) are taken to be in the seller's state, not "97" */
+function unregisteredStateCode(stateName, seller) {
+  return isMissingState(stateName) ? seller.home_state_code : stateCodeFromName(stateName);
+}
 
 /* Convert state_name to formatted POS like "19-West Bengal" */
-function formatPlaceOfSupplyFromName(stateName) {
-  if (!stateName) return "97-Other Territory";
-  const nameClean = stateName.trim().toLowerCase();
-  for (const [name, code] of Object.entries(STATE_CODES)) {
-    if (name.toLowerCase() === nameClean) return `${code}-${name}`;
-  }
-  for (const [name, code] of Object.entries(STATE_CODES)) {
-    if (name.toLowerCase().includes(nameClean) || nameClean.includes(name.toLowerCase())) {
-      return `${code}-${name}`;
-    }
-  }
-  return "97-Other Territory";
+function formatPlaceOfSupplyFromName(stateName, seller) {
+  const code = unregisteredStateCode(stateName, seller);
+  return code ? `${code}-${STATE_CODE_TO_NAME[code]}` : "97-Other Territory";
+}
+
+/* Registered recipients are located by their GSTIN, everyone else by the billing state */
+function recipientStateCode(gstin, stateName, seller) {
+  const gstinCode = (gstin || '').substring(0, 2);
+  if (STATE_CODE_TO_NAME[gstinCode]) return gstinCode;
+  return unregisteredStateCode(stateName, seller) || '97';
+}
+
+/* GST SPLIT: intra-state only when the place of supply is the seller's home state */
+function isIntrastateSupply(stateCode, seller) {
+  return stateCode === seller.home_state_code;
 }
 
-/* GST SPLIT */
-function calculateGstSplit(totalTax, stateName) {
-  const isIntrastate = (stateName || '').toLowerCase().includes('west bengal');
-  totalTax = parseFloat(totalTax || 0);
+/* The stored tax rounded to the paisa; CGST + SGST always add up to it (see splitTax) */
+function calculateGstSplit(totalTax, isIntrastate) {
+  totalTax = roundMoney(totalTax);
+  const { cgst, sgst } = splitTax(totalTax);
   return {
     igst: isIntrastate ? 0 : totalTax,
-    cgst: isIntrastate ? totalTax / 2 : 0,
-    sgst: isIntrastate ? totalTax / 2 : 0
+    cgst: isIntrastate ? cgst : 0,
+    sgst: isIntrastate ? sgst : 0
   };
 }
 
-/* HSN EXTRA DESCRIPTION MAP */
-const HSN_DESCRIPTION_MAP = {
-  "85238020": {
-    description:
-      "Broad Category: Discs, tapes, solid-state non-volatile storage devices, smart cards, and other media for recording sound or other phenomena.\n" +
-      "Specific Description: Information technology software.",
-    uqc: "NOS-NUMBERS"
-  }
-};
-
 /* ------------------------------------------------------------------------------------------------
    FETCH B2B DATA (POS from GSTIN)
 ------------------------------------------------------------------------------------------------ */
-async function fetchB2BData(startDate, endDate) {
+/* One row per invoice and rate, taxable value and tax summed from that rate's items */
+async function fetchB2BData(startDate, endDate, seller) {
   const query = `
     SELECT 
+      O.id AS order_id,
       O.bill_number AS invoice_number,
       DATE_FORMAT(O.order_date, '%Y-%m-%d') AS invoice_date,
       O.order_total_amount AS invoice_value,
-      O.order_subtotal_amount AS taxable_value,
       C.gst_number AS recipient_gstin,
       C.company_billing AS receiver_name,
-      (SELECT DISTINCT I.gst_rate FROM order_items I WHERE I.order_id = O.id LIMIT 1) AS gst_rate_applied
+      C.state_name AS customer_state,
+      I.gst_rate AS rate,
+      SUM(I.unit_cost_at_sale * I.quantity) AS taxable_value,
+      SUM(I.order_line_tax) AS total_tax_amount
     FROM orders O
     INNER JOIN customers C ON O.customer_id = C.id
+    INNER JOIN order_items I ON O.id = I.order_id
     WHERE C.gst_number IS NOT NULL AND C.gst_number != ''
       AND O.order_date BETWEEN :startDate AND :endDate
-    ORDER BY O.order_date ASC;
+    GROUP BY O.id, O.bill_number, O.order_date, O.order_total_amount,
+      C.gst_number, C.company_billing, C.state_name, I.gst_rate
+    ORDER BY O.order_date ASC, O.bill_number ASC, I.gst_rate ASC;
   `;
 
   const rows = await sequelize.query(query, { replacements: { startDate, endDate }, type: QueryTypes.SELECT });
 
   return rows.map(r => {
-    const gstin = r.recipient_gstin || "";
-    const stateCode = gstin.substring(0, 2) || "97";
-    const stateName = STATE_CODE_TO_NAME[stateCode] || "Others Territory";
-    const placeOfSupply = `${stateCode}-${stateName}`;
+    const stateCode = recipientStateCode(r.recipient_gstin, r.customer_state, seller);
     return {
       ...r,
-      taxable_value: parseFloat(r.taxable_value || 0),
-      invoice_value: parseFloat(r.invoice_value || 0),
-      gst_rate_applied: parseFloat(r.gst_rate_applied || 0),
-      place_of_supply: placeOfSupply
+      rate: parseFloat(r.rate || 0),
+      taxable_value: roundMoney(r.taxable_value),
+      invoice_value: roundMoney(r.invoice_value),
+      total_tax_amount: roundMoney(r.total_tax_amount),
+      place_of_supply: `${stateCode}-${STATE_CODE_TO_NAME[stateCode]}`,
+      is_intrastate: isIntrastateSupply(stateCode, seller)
     };
   });
 }
 
-async function fetchB2BSummary(startDate, endDate) {
+/*
+ * Registered invoices whose GSTIN is invalid or points to another state are not filed as B2B.
+ * Exceptions are listed once per invoice, with the taxable value of all its rates.
+ */
+function separateB2BExceptions(b2bData) {
+  const filed = [];
+  const exceptions = new Map();
+  b2bData.forEach(r => {
+    const issue = findGstinIssue(r.recipient_gstin, r.customer_state);
+    if (!issue) {
+      filed.push(r);
+    } else if (exceptions.has(r.order_id)) {
+      const exception = exceptions.get(r.order_id);
+      exception.taxable_value = addMoney(exception.taxable_value, r.taxable_value);
+    } else {
+      exceptions.set(r.order_id, { ...r, issue });
+    }
+  });
+  return { filed, exceptions: [...exceptions.values()] };
+}
+
+/* Summary row for the B2B sheet, computed from the invoices actually filed; an invoice spans one row per rate */
+function summarizeB2B(b2bData) {
+  const invoices = new Map(b2bData.map(r => [r.order_id, r.invoice_value]));
+  return {
+    num_recipients: new Set(b2bData.map(r => r.recipient_gstin)).size,
+    num_invoices: invoices.size,
+    total_invoice_value: sumMoney([...invoices.values()]),
+    total_taxable_value: sumMoney(b2bData.map(r => r.taxable_value))
+  };
+}
+
+/* ------------------------------------------------------------------------------------------------
+   FETCH B2CL DATA (large inter-state invoices to unregistered buyers)
+------------------------------------------------------------------------------------------------ */
+/* Inter-state B2C invoices above this value are reported one by one in B2CL (Table 5), and so
+   are their credit notes in CDNUR. The limit was Rs. 2.5 lakh until it was lowered to Rs. 1 lakh. */
+const B2CL_INVOICE_THRESHOLD = parseFloat(process.env.B2CL_INVOICE_THRESHOLD) || 100000;
+
+/* One row per invoice and rate */
+async function fetchB2CLData(startDate, endDate, seller) {
   const query = `
     SELECT 
-      COUNT(DISTINCT C.id) AS num_recipients,
-      COUNT(O.id) AS num_invoices,
-      SUM(O.order_total_amount) AS total_invoice_value,
-      SUM(O.order_subtotal_amount) AS total_taxable_value
+      O.id AS order_id,
+      O.bill_number AS invoice_number,
+      DATE_FORMAT(O.order_date, '%Y-%m-%d') AS invoice_date,
+      O.order_total_amount AS invoice_value,
+      C.state_name AS customer_state,
+      I.gst_rate AS rate,
+      SUM(I.unit_cost_at_sale * I.quantity) AS taxable_value,
+      SUM(I.order_line_tax) AS total_tax_amount
     FROM orders O
     INNER JOIN customers C ON O.customer_id = C.id
-    WHERE C.gst_number IS NOT NULL AND C.gst_number != ''
-      AND O.order_date BETWEEN :startDate AND :endDate;
+    INNER JOIN order_items I ON O.id = I.order_id
+    WHERE (C.gst_number IS NULL OR C.gst_number = '')
+      AND O.order_date BETWEEN :startDate AND :endDate
+      AND O.order_total_amount > :threshold
+    GROUP BY O.id, O.bill_number, O.order_date, O.order_total_amount, C.state_name, I.gst_rate
+    ORDER BY O.order_date ASC, O.bill_number ASC, I.gst_rate ASC;
   `;
-  const r = await sequelize.query(query, { replacements: { startDate, endDate }, type: QueryTypes.SELECT, plain: true });
+
+  const rows = await sequelize.query(query, {
+    replacements: { startDate, endDate, threshold: B2CL_INVOICE_THRESHOLD },
+    type: QueryTypes.SELECT
+  });
+
+  return rows
+    .map(r => {
+      const placeOfSupply = formatPlaceOfSupplyFromName(r.customer_state, seller);
+      return {
+        ...r,
+        invoice_value: roundMoney(r.invoice_value),
+        rate: parseFloat(r.rate || 0),
+        taxable_value: roundMoney(r.taxable_value),
+        total_tax_amount: roundMoney(r.total_tax_amount),
+        place_of_supply: placeOfSupply,
+        is_intrastate: isIntrastateSupply(posCode(placeOfSupply), seller)
+      };
+    })
+    .filter(r => !r.is_intrastate);
+}
+
+/* Invoice-level totals for the B2CL sheet header; an invoice spans one row per rate */
+function summarizeB2CL(rows) {
+  const invoices = new Map(rows.map(r => [r.order_id, r.invoice_value]));
   return {
-    num_recipients: r.num_recipients || 0,
-    num_invoices: r.num_invoices || 0,
-    total_invoice_value: parseFloat(r.total_invoice_value || 0),
-    total_taxable_value: parseFloat(r.total_taxable_value || 0)
+    num_invoices: invoices.size,
+    total_invoice_value: sumMoney([...invoices.values()]),
+    total_taxable_value: sumMoney(rows.map(r => r.taxable_value))
   };
 }
 
 /* ------------------------------------------------------------------------------------------------
    FETCH B2CS DATA (NOW FIX POS)
 ------------------------------------------------------------------------------------------------ */
-async function fetchB2CSData(startDate, endDate) {
+/*
+ * `excludedOrderIds` are the invoices already reported in B2CL. Credit/debit notes to unregistered
+ * buyers that CDNUR does not take (see isCdnurNote) are netted in by place of supply and rate;
+ * `notes_taxable_value` keeps their share so the HSN tie-out can compare invoices only.
+ */
+async function fetchB2CSData(startDate, endDate, seller, excludedOrderIds = []) {
   const query = `
     SELECT 
       C.state_name AS place_of_supply,
       I.gst_rate AS rate,
-      SUM(I.unit_cost_at_sale * I.quantity) AS total_taxable_value
+      SUM(I.unit_cost_at_sale * I.quantity) AS total_taxable_value,
+      SUM(I.order_line_tax) AS total_tax_amount
     FROM orders O
     INNER JOIN customers C ON O.customer_id = C.id
     INNER JOIN order_items I ON O.id = I.order_id
     WHERE (C.gst_number IS NULL OR C.gst_number = '')
       AND O.order_date BETWEEN :startDate AND :endDate
+      ${excludedOrderIds.length > 0 ? 'AND O.id NOT IN (:excludedOrderIds)' : ''}
     GROUP BY C.state_name, I.gst_rate
     ORDER BY C.state_name, I.gst_rate;
   `;
 
+  const rows = await sequelize.query(query, { replacements: { startDate, endDate, excludedOrderIds }, type: QueryTypes.SELECT });
+
+  // Differently spelled state names resolve to the same code, so merge on POS + rate
+  const grouped = {};
+  const bucket = (placeOfSupply, rate) => {
+    const key = `${placeOfSupply}|${rate}`;
+    if (!grouped[key]) {
+      grouped[key] = {
+        place_of_supply: placeOfSupply,
+        rate,
+        total_taxable_value: 0,
+        total_tax_amount: 0,
+        notes_taxable_value: 0,
+        is_intrastate: isIntrastateSupply(placeOfSupply.split('-')[0], seller)
+      };
+    }
+    return grouped[key];
+  };
+
+  rows.forEach(r => {
+    const row = bucket(formatPlaceOfSupplyFromName(r.place_of_supply, seller), parseFloat(r.rate || 0));
+    row.total_taxable_value = addMoney(row.total_taxable_value, r.total_taxable_value);
+    row.total_tax_amount = addMoney(row.total_tax_amount, r.total_tax_amount);
+  });
+
+  // Credit notes reduce the supplies, debit notes add to them
+  (await fetchCDNURCandidates(startDate, endDate, seller)).filter(r => !isCdnurNote(r)).forEach(r => {
+    const sign = r.note_type === 'D' ? 1 : -1;
+    const row = bucket(r.place_of_supply, r.rate);
+    row.total_taxable_value = addMoney(row.total_taxable_value, sign * r.taxable_value);
+    row.total_tax_amount = addMoney(row.total_tax_amount, sign * r.total_tax_amount);
+    row.notes_taxable_value = addMoney(row.notes_taxable_value, sign * r.taxable_value);
+  });
+
+  return Object.values(grouped);
+}
+
+/* ------------------------------------------------------------------------------------------------
+   FETCH CREDIT / DEBIT NOTES (CDNR + CDNUR)
+------------------------------------------------------------------------------------------------ */
+async function fetchCreditNoteRows(startDate, endDate, isRegistered) {
+  const gstFilter = isRegistered
+    ? "C.gst_number IS NOT NULL AND C.gst_number != ''"
+    : "(C.gst_number IS NULL OR C.gst_number = '')";
+
+  const query = `
+    SELECT 
+      N.id AS note_id,
+      N.note_number,
+      DATE_FORMAT(N.note_date, '%Y-%m-%d') AS note_date,
+      N.note_type,
+      N.note_total_amount AS note_value,
+      C.id AS customer_id,
+      C.gst_number AS recipient_gstin,
+      C.company_billing AS receiver_name,
+      C.state_name AS customer_state,
+      O.order_total_amount AS original_invoice_value,
+      NI.gst_rate AS rate,
+      SUM(NI.unit_cost * NI.quantity) AS taxable_value,
+      SUM(NI.line_tax) AS total_tax_amount
+    FROM credit_notes N
+    INNER JOIN customers C ON N.customer_id = C.id
+    INNER JOIN orders O ON N.order_id = O.id
+    INNER JOIN credit_note_items NI ON NI.credit_note_id = N.id
+    WHERE ${gstFilter}
+      AND N.note_date BETWEEN :startDate AND :endDate
+    GROUP BY N.id, N.note_number, N.note_date, N.note_type, N.note_total_amount,
+      C.id, C.gst_number, C.company_billing, C.state_name, O.order_total_amount, NI.gst_rate
+    ORDER BY N.note_date ASC, N.note_number ASC;
+  `;
+
   const rows = await sequelize.query(query, { replacements: { startDate, endDate }, type: QueryTypes.SELECT });
 
   return rows.map(r => ({
-    place_of_supply: formatPlaceOfSupplyFromName(r.place_of_supply), // ✅ FIX APPLIED
+    ...r,
+    note_value: roundMoney(r.note_value),
+    original_invoice_value: roundMoney(r.original_invoice_value),
     rate: parseFloat(r.rate || 0),
-    total_taxable_value: parseFloat(r.total_taxable_value || 0)
+    taxable_value: roundMoney(r.taxable_value),
+    total_tax_amount: roundMoney(r.total_tax_amount)
   }));
 }
 
+async function fetchCDNRData(startDate, endDate, seller) {
+  const rows = await fetchCreditNoteRows(startDate, endDate, true);
+  return rows.map(r => {
+    const stateCode = recipientStateCode(r.recipient_gstin, r.customer_state, seller);
+    return {
+      ...r,
+      place_of_supply: `${stateCode}-${STATE_CODE_TO_NAME[stateCode]}`,
+      is_intrastate: isIntrastateSupply(stateCode, seller)
+    };
+  });
+}
+
+/* Notes to unregistered buyers, with their place of supply */
+async function fetchCDNURCandidates(startDate, endDate, seller) {
+  const rows = await fetchCreditNoteRows(startDate, endDate, false);
+  return rows.map(r => {
+    const placeOfSupply = formatPlaceOfSupplyFromName(r.customer_state, seller);
+    return { ...r, place_of_supply: placeOfSupply, is_intrastate: isIntrastateSupply(placeOfSupply.split('-')[0], seller) };
+  });
+}
+
+/* CDNUR only takes inter-state notes on B2CL-sized invoices; the other unregistered notes are netted into B2CS */
+function isCdnurNote(r) {
+  return !r.is_intrastate && r.original_invoice_value > B2CL_INVOICE_THRESHOLD;
+}
+
+async function fetchCDNURData(startDate, endDate, seller) {
+  return (await fetchCDNURCandidates(startDate, endDate, seller)).filter(isCdnurNote);
+}
+
+/* Note-level totals for the sheet headers; a note spans one row per tax rate */
+function summarizeNotes(rows) {
+  const notes = new Map(rows.map(r => [r.note_id, r.note_value]));
+  return {
+    num_recipients: new Set(rows.map(r => r.customer_id)).size,
+    num_notes: notes.size,
+    total_note_value: sumMoney([...notes.values()]),
+    total_taxable_value: sumMoney(rows.map(r => r.taxable_value))
+  };
+}
+
 /* ------------------------------------------------------------------------------------------------
-   FETCH HSN SUMMARY (unchanged logic)
+   FETCH HSN SUMMARY (one row per HSN and rate; description and UQC from the HSN master)
 ------------------------------------------------------------------------------------------------ */
-async function fetchHSNData(startDate, endDate, isB2B) {
+/*
+ * Every row carries `issue`: null when the code is in the HSN master and long enough for the
+ * seller's turnover slab, otherwise the reason. Such rows stay in the summary (totals must
+ * still tie) and are listed as exceptions.
+ */
+async function fetchHSNData(startDate, endDate, isB2B, seller) {
   const gstFilter = isB2B
     ? "C.gst_number IS NOT NULL AND C.gst_number != ''"
     : "(C.gst_number IS NULL OR C.gst_number = '')";
@@ -157,10 +347,12 @@ async function fetchHSNData(startDate, endDate, isB2B) {
   const query = `
     SELECT 
       P.hsn_code AS hsn,
-      P.item_name AS description,
+      I.gst_rate AS rate,
+      MIN(P.uqc) AS product_uqc,
       SUM(I.quantity) AS total_quantity,
       SUM(I.unit_cost_at_sale * I.quantity) AS taxable_value,
       SUM(I.order_line_tax) AS total_tax_amount,
+      C.gst_number AS recipient_gstin,
       C.state_name AS customer_state
     FROM orders O
     INNER JOIN customers C ON O.customer_id = C.id
@@ -168,21 +360,27 @@ async function fetchHSNData(startDate, endDate, isB2B) {
     INNER JOIN products P ON I.product_id = P.id
     WHERE ${gstFilter}
       AND O.order_date BETWEEN :startDate AND :endDate
-    GROUP BY P.hsn_code, P.item_name, C.state_name
-    ORDER BY P.hsn_code;
+    GROUP BY P.hsn_code, I.gst_rate, C.gst_number, C.state_name
+    ORDER BY P.hsn_code, I.gst_rate;
   `;
 
   const rows = await sequelize.query(query, { replacements: { startDate, endDate }, type: QueryTypes.SELECT });
+  const master = await findHsnEntries(rows.map(r => r.hsn));
 
   const grouped = {};
 
   rows.forEach(r => {
-    const key = r.hsn || "99999999";
+    const hsn = r.hsn || "99999999";
+    const rate = parseFloat(r.rate || 0);
+    const key = `${hsn}|${rate}`;
     if (!grouped[key]) {
+      const entry = master.get(r.hsn);
       grouped[key] = {
-        hsn: key,
-        description: HSN_DESCRIPTION_MAP[key]?.description || r.description,
-        uqc: HSN_DESCRIPTION_MAP[key]?.uqc || "NOS-NUMBERS",
+        hsn,
+        rate,
+        description: entry ? entry.description : "",
+        uqc: formatUqc(entry?.uqc || r.product_uqc) || "NOS-NUMBERS",
+        issue: r.hsn ? findHsnIssue(r.hsn, entry, seller) : "Products without an HSN code (see /api/products/missing-hsn).",
         total_quantity: 0,
         taxable_value: 0,
         igst: 0, cgst: 0, sgst: 0, cess: 0
@@ -190,24 +388,80 @@ async function fetchHSNData(startDate, endDate, isB2B) {
     }
 
     grouped[key].total_quantity += parseFloat(r.total_quantity || 0);
-    grouped[key].taxable_value += parseFloat(r.taxable_value || 0);
+    grouped[key].taxable_value = addMoney(grouped[key].taxable_value, r.taxable_value);
 
-    const split = calculateGstSplit(r.total_tax_amount, r.customer_state);
-    grouped[key].igst += split.igst;
-    grouped[key].cgst += split.cgst;
-    grouped[key].sgst += split.sgst;
+    const stateCode = recipientStateCode(r.recipient_gstin, r.customer_state, seller);
+    const split = calculateGstSplit(r.total_tax_amount, isIntrastateSupply(stateCode, seller));
+    grouped[key].igst = addMoney(grouped[key].igst, split.igst);
+    grouped[key].cgst = addMoney(grouped[key].cgst, split.cgst);
+    grouped[key].sgst = addMoney(grouped[key].sgst, split.sgst);
   });
 
-  return Object.values(grouped).map(r => ({
-    ...r,
-    total_value: (r.taxable_value + r.igst + r.cgst + r.sgst).toFixed(2),
-    taxable_value: r.taxable_value.toFixed(2),
-    igst: r.igst.toFixed(2),
-    cgst: r.cgst.toFixed(2),
-    sgst: r.sgst.toFixed(2),
-    cess: r.cess.toFixed(2),
-    rate: ""
-  }));
+  return Object.values(grouped)
+    .sort((a, b) => a.hsn.localeCompare(b.hsn) || a.rate - b.rate)
+    .map(r => ({
+      ...r,
+      total_value: formatMoney(addMoney(r.taxable_value, r.igst, r.cgst, r.sgst)),
+      taxable_value: formatMoney(r.taxable_value),
+      igst: formatMoney(r.igst),
+      cgst: formatMoney(r.cgst),
+      sgst: formatMoney(r.sgst),
+      cess: formatMoney(r.cess)
+    }));
+}
+
+/* Taxable value per GST rate, e.g. { 5: 1200.5, 18: 430 } */
+function taxableByRate(rows, field = 'taxable_value') {
+  const totals = {};
+  rows.forEach(r => {
+    const rate = parseFloat(r.rate || 0);
+    totals[rate] = addMoney(totals[rate], r[field]);
+  });
+  return totals;
+}
+
+/*
+ * The HSN summary must tie back, rate by rate, to the invoices it summarises: HSN (B2B) to
+ * every registered invoice (filed or not), HSN (B2C) to B2CL + B2CS. b2bRows are the
+ * fetchB2BData rows before separateB2BExceptions folds an exception's rates into one row.
+ * @returns {Array<object>} [{ section, rate, hsn_taxable_value, invoice_taxable_value, issue }]
+ */
+function checkHSNTotals(hsnB2B, hsnB2C, { b2bRows, b2clData, b2csData }) {
+  const sections = [
+    { section: 'hsn_b2b', hsn: hsnB2B, invoices: taxableByRate(b2bRows), label: 'B2B invoices' },
+    {
+      section: 'hsn_b2c',
+      hsn: hsnB2C,
+      // B2CS without the notes netted into it: the HSN summary covers invoices only
+      invoices: [
+        taxableByRate(b2clData),
+        taxableByRate(b2csData.map(r => ({ rate: r.rate, taxable_value: addMoney(r.total_taxable_value, -r.notes_taxable_value) })))
+      ].reduce((totals, byRate) => {
+        Object.entries(byRate).forEach(([rate, value]) => totals[rate] = addMoney(totals[rate], value));
+        return totals;
+      }, {}),
+      label: 'B2CL + B2CS sections'
+    }
+  ];
+
+  const mismatches = [];
+  sections.forEach(({ section, hsn, invoices, label }) => {
+    const hsnTotals = taxableByRate(hsn);
+    const rates = [...new Set([...Object.keys(hsnTotals), ...Object.keys(invoices)])].map(Number).sort((a, b) => a - b);
+    rates.forEach(rate => {
+      const hsnValue = roundMoney(hsnTotals[rate]);
+      const invoiceValue = roundMoney(invoices[rate]);
+      if (hsnValue === invoiceValue) return;
+      mismatches.push({
+        section,
+        rate,
+        hsn_taxable_value: hsnValue,
+        invoice_taxable_value: invoiceValue,
+        issue: `Taxable value at ${rate}% is ${hsnValue} in the HSN summary but ${invoiceValue} in the ${label}.`
+      });
+    });
+  });
+  return mismatches;
 }
 
 /* ------------------------------------------------------------------------------------------------
@@ -246,7 +500,39 @@ function addB2BSheet(workbook, data, summary) {
     const row = sheet.addRow([
       r.recipient_gstin, r.receiver_name, r.invoice_number, r.invoice_date,
       r.invoice_value, r.place_of_supply, 'N', '', 'Regular', '',
-      r.gst_rate_applied, r.taxable_value, 0
+      r.rate, r.taxable_value, 0
+    ]);
+    row.eachCell(c => c.border = BORDER);
+  });
+
+  sheet.columns.forEach(col => col.width = 20);
+}
+
+/* ------------------------------------------------------------------------------------------------
+   B2CL SHEET
+------------------------------------------------------------------------------------------------ */
+function addB2CLSheet(workbook, rows) {
+  const sheet = workbook.addWorksheet('B2CL', { views: [{ state: 'frozen', ySplit: 4 }] });
+  const summary = summarizeB2CL(rows);
+
+  sheet.mergeCells('A1:I1');
+  sheet.getCell('A1').value = 'Summary For B2CL (5)';
+  sheet.getCell('A1').font = { bold: true, size: 14 };
+
+  sheet.getRow(2).values = ['No. of Invoices', '', 'Total Invoice Value', '', '', '', 'Total Taxable Value', 'Total Cess', ''];
+  sheet.getRow(3).values = [summary.num_invoices, '', summary.total_invoice_value, '', '', '', summary.total_taxable_value, 0, ''];
+
+  const headers = [
+    'Invoice Number', 'Invoice date', 'Invoice Value', 'Place Of Supply', 'Applicable % of Tax Rate',
+    'Rate', 'Taxable Value', 'Cess Amount', 'E-Commerce GSTIN'
+  ];
+  sheet.getRow(4).values = headers;
+  sheet.getRow(4).eachCell(c => c.style = GST_HEADER_STYLE);
+
+  rows.forEach(r => {
+    const row = sheet.addRow([
+      r.invoice_number, r.invoice_date, r.invoice_value, r.place_of_supply, '',
+      r.rate, r.taxable_value, 0, ''
     ]);
     row.eachCell(c => c.border = BORDER);
   });
@@ -263,7 +549,7 @@ function addB2CSSheet(workbook, rows) {
   sheet.getCell('A1').value = 'Summary For B2CS (7)';
   sheet.getCell('A1').font = { bold: true, size: 14 };
 
-  const totalTaxable = rows.reduce((sum, r) => sum + r.total_taxable_value, 0);
+  const totalTaxable = sumMoney(rows.map(r => r.total_taxable_value));
   sheet.getCell('E2').value = 'Total Taxable Value';
   sheet.getCell('E3').value = totalTaxable;
 
@@ -282,8 +568,9 @@ function addB2CSSheet(workbook, rows) {
 /* ------------------------------------------------------------------------------------------------
    CDNR SHEET
 ------------------------------------------------------------------------------------------------ */
-function addCDNRSheet(workbook) {
+function addCDNRSheet(workbook, rows) {
   const sheet = workbook.addWorksheet("CDNR", { views: [{ state: 'frozen', ySplit: 4 }] });
+  const summary = summarizeNotes(rows);
 
   sheet.mergeCells('A1:M1');
   sheet.getCell("A1").value = "Summary For CDNR (9B)";
@@ -291,7 +578,7 @@ function addCDNRSheet(workbook) {
   sheet.getCell("A1").alignment = { horizontal: 'center' };
 
   sheet.getRow(2).values = ["No. of Recipients", '', "No. of Notes", '', '', '', '', '', "Total Note Value", '', '', "Total Taxable Value", "Total Cess"];
-  sheet.getRow(3).values = [0, '', 0, '', '', '', '', '', 0, '', '', 0, 0];
+  sheet.getRow(3).values = [summary.num_recipients, '', summary.num_notes, '', '', '', '', '', summary.total_note_value, '', '', summary.total_taxable_value, 0];
 
   const headers = [
     "GSTIN/UIN of Recipient","Receiver Name","Note Number","Note date","Note Type",
@@ -301,14 +588,24 @@ function addCDNRSheet(workbook) {
   sheet.getRow(4).values = headers;
   sheet.getRow(4).eachCell(c => c.style = GST_HEADER_STYLE);
 
+  rows.forEach(r => {
+    const row = sheet.addRow([
+      r.recipient_gstin, r.receiver_name, r.note_number, r.note_date, r.note_type,
+      r.place_of_supply, 'N', 'Regular B2B', r.note_value,
+      '', r.rate, r.taxable_value, 0
+    ]);
+    row.eachCell(c => c.border = BORDER);
+  });
+
   sheet.columns.forEach(col => col.width = 20);
 }
 
 /* ------------------------------------------------------------------------------------------------
    CDNUR SHEET
 ------------------------------------------------------------------------------------------------ */
-function addCDNURSheet(workbook) {
+function addCDNURSheet(workbook, rows) {
   const sheet = workbook.addWorksheet("CDNUR", { views: [{ state: 'frozen', ySplit: 4 }] });
+  const summary = summarizeNotes(rows);
 
   sheet.mergeCells('A1:J1');
   sheet.getCell("A1").value = "Summary For CDNUR (9B)";
@@ -316,7 +613,7 @@ function addCDNURSheet(workbook) {
   sheet.getCell("A1").alignment = { horizontal: 'center' };
 
   sheet.getRow(2).values = ["No. of Notes/Vouchers", '', '', '', '', "Total Note Value", '', "Total Taxable Value", "Total Cess"];
-  sheet.getRow(3).values = [0, '', '', '', '', 0, '', 0, 0];
+  sheet.getRow(3).values = [summary.num_notes, '', '', '', '', summary.total_note_value, '', summary.total_taxable_value, 0];
 
   const headers = [
     "UR Type", "Note Number", "Note date", "Note Type", "Place Of Supply",
@@ -325,9 +622,148 @@ function addCDNURSheet(workbook) {
   sheet.getRow(4).values = headers;
   sheet.getRow(4).eachCell(c => c.style = GST_HEADER_STYLE);
 
+  rows.forEach(r => {
+    const row = sheet.addRow([
+      'B2CL', r.note_number, r.note_date, r.note_type, r.place_of_supply,
+      r.note_value, '', r.rate, r.taxable_value, 0
+    ]);
+    row.eachCell(c => c.border = BORDER);
+  });
+
   sheet.columns.forEach(col => col.width = 20);
 }
 
+/* ------------------------------------------------------------------------------------------------
+   EXCEPTIONS SHEET
+------------------------------------------------------------------------------------------------ */
+function addExceptionsSheet(workbook, exceptions) {
+  const sheet = workbook.addWorksheet('Exceptions', { views: [{ state: 'frozen', ySplit: 2 }] });
+
+  sheet.mergeCells('A1:H1');
+  sheet.getCell('A1').value = `B2B invoices not filed (${exceptions.length})`;
+  sheet.getCell('A1').font = { bold: true, size: 14 };
+
+  const headers = [
+    'Invoice Number', 'Invoice date', 'GSTIN/UIN of Recipient', 'Receiver Name',
+    'Billing State', 'Invoice Value', 'Taxable Value', 'Issue'
+  ];
+  sheet.getRow(2).values = headers;
+  sheet.getRow(2).eachCell(c => c.style = GST_HEADER_STYLE);
+
+  exceptions.forEach(r => {
+    const row = sheet.addRow([
+      r.invoice_number, r.invoice_date, r.recipient_gstin, r.receiver_name,
+      r.customer_state, r.invoice_value, r.taxable_value, r.issue
+    ]);
+    row.eachCell(c => c.border = BORDER);
+  });
+
+  sheet.columns.forEach(col => col.width = 20);
+  sheet.getColumn(8).width = 60;
+}
+
+/* HSN summary rows whose code is missing, too short or not in the HSN master */
+function collectHSNExceptions(hsnB2B, hsnB2C) {
+  return [
+    ...hsnB2B.filter(r => r.issue).map(r => ({ ...r, section: 'hsn_b2b' })),
+    ...hsnB2C.filter(r => r.issue).map(r => ({ ...r, section: 'hsn_b2c' }))
+  ];
+}
+
+function addHSNExceptionsSheet(workbook, hsnExceptions) {
+  const sheet = workbook.addWorksheet('HSN Exceptions', { views: [{ state: 'frozen', ySplit: 2 }] });
+
+  sheet.mergeCells('A1:G1');
+  sheet.getCell('A1').value = `HSN codes to correct (${hsnExceptions.length})`;
+  sheet.getCell('A1').font = { bold: true, size: 14 };
+
+  sheet.getRow(2).values = ['Section', 'HSN', 'Rate', 'Description', 'Total Quantity', 'Taxable Value', 'Issue'];
+  sheet.getRow(2).eachCell(c => c.style = GST_HEADER_STYLE);
+
+  hsnExceptions.forEach(r => {
+    const row = sheet.addRow([
+      r.section === 'hsn_b2b' ? 'HSN (B2B)' : 'HSN (B2C)', r.hsn, r.rate, r.description,
+      r.total_quantity, r.taxable_value, r.issue
+    ]);
+    row.eachCell(c => c.border = BORDER);
+  });
+
+  sheet.columns.forEach(col => col.width = 20);
+  sheet.getColumn(4).width = 45;
+  sheet.getColumn(7).width = 60;
+}
+
+/* Rates at which the HSN summary does not add up to the invoice sections (see checkHSNTotals) */
+function addHSNTieOutSheet(workbook, mismatches) {
+  const sheet = workbook.addWorksheet('HSN Tie-out', { views: [{ state: 'frozen', ySplit: 2 }] });
+
+  sheet.mergeCells('A1:E1');
+  sheet.getCell('A1').value = `HSN totals that do not tie (${mismatches.length})`;
+  sheet.getCell('A1').font = { bold: true, size: 14 };
+
+  sheet.getRow(2).values = ['Section', 'Rate', 'Taxable Value (HSN)', 'Taxable Value (Invoices)', 'Issue'];
+  sheet.getRow(2).eachCell(c => c.style = GST_HEADER_STYLE);
+
+  mismatches.forEach(r => {
+    const row = sheet.addRow([
+      r.section === 'hsn_b2b' ? 'HSN (B2B)' : 'HSN (B2C)', r.rate, r.hsn_taxable_value, r.invoice_taxable_value, r.issue
+    ]);
+    row.eachCell(c => c.border = BORDER);
+  });
+
+  sheet.columns.forEach(col => col.width = 22);
+  sheet.getColumn(5).width = 80;
+}
+
+/* Numbers missing from an invoice series that nobody has confirmed as cancelled (see unconfirmedSeriesGaps) */
+function addSeriesGapsSheet(workbook, gaps) {
+  const sheet = workbook.addWorksheet('Series Gaps', { views: [{ state: 'frozen', ySplit: 2 }] });
+
+  sheet.mergeCells('A1:F1');
+  sheet.getCell('A1').value = `Invoice numbers to confirm before filing Table 13 (${gaps.length})`;
+  sheet.getCell('A1').font = { bold: true, size: 14 };
+
+  sheet.getRow(2).values = ['Series', 'Financial Year', 'Missing From', 'Missing To', 'Count', 'Issue'];
+  sheet.getRow(2).eachCell(c => c.style = GST_HEADER_STYLE);
+
+  gaps.forEach(g => {
+    const row = sheet.addRow([g.series, g.financial_year, g.from, g.to, g.count, g.issue]);
+    row.eachCell(c => c.border = BORDER);
+  });
+
+  sheet.columns.forEach(col => col.width = 20);
+  sheet.getColumn(6).width = 100;
+}
+
+/* ------------------------------------------------------------------------------------------------
+   DOCS SHEET (TABLE 13)
+------------------------------------------------------------------------------------------------ */
+function addDocsSheet(workbook, docSeries) {
+  const sheet = workbook.addWorksheet('Docs', { views: [{ state: 'frozen', ySplit: 4 }] });
+
+  sheet.mergeCells('A1:E1');
+  sheet.getCell('A1').value = 'Summary of documents issued during the tax period (13)';
+  sheet.getCell('A1').font = { bold: true, size: 14 };
+
+  sheet.getRow(2).values = ['', '', '', 'Total Number', 'Total Cancelled'];
+  sheet.getRow(3).values = [
+    '', '', '',
+    docSeries.reduce((sum, s) => sum + s.total, 0),
+    docSeries.reduce((sum, s) => sum + s.cancelled, 0)
+  ];
+
+  sheet.getRow(4).values = ['Nature of Document', 'Sr. No. From', 'Sr. No. To', 'Total Number', 'Cancelled'];
+  sheet.getRow(4).eachCell(c => c.style = GST_HEADER_STYLE);
+
+  docSeries.forEach(s => {
+    const row = sheet.addRow(['Invoices for outward supply', s.from, s.to, s.total, s.cancelled]);
+    row.eachCell(c => c.border = BORDER);
+  });
+
+  sheet.columns.forEach(col => col.width = 25);
+  sheet.getColumn(1).width = 30;
+}
+
 /* ------------------------------------------------------------------------------------------------
    HSN SHEET
 ------------------------------------------------------------------------------------------------ */
@@ -351,7 +787,7 @@ function addHSNSheet(workbook, hsnData, sheetName, title) {
     const row = sheet.getRow(rowIndex++);
     row.values = [
       r.hsn, r.description, r.uqc, r.total_quantity,
-      r.total_value, '', r.taxable_value, r.igst, r.cgst, r.sgst, r.cess
+      r.total_value, r.rate, r.taxable_value, r.igst, r.cgst, r.sgst, r.cess
     ];
     row.eachCell(c => (c.border = BORDER));
   });
@@ -360,31 +796,379 @@ function addHSNSheet(workbook, hsnData, sheetName, title) {
   sheet.getColumn(2).alignment = { wrapText: true };
 }
 
+/* ------------------------------------------------------------------------------------------------
+   JSON EXPORT (GST OFFLINE TOOL SCHEMA)
+------------------------------------------------------------------------------------------------ */
+const INVOICE_NUMBER_REGEX = /^[a-zA-Z0-9/-]{1,16}$/;
+
+/* "2025-10-30" -> "30-10-2025" (portal date format) */
+function toPortalDate(isoDate) {
+  const [y, m, d] = (isoDate || '').split('-');
+  return `${d}-${m}-${y}`;
+}
+
+/* "2025-10-01" -> "102025" (return period MMYYYY) */
+function toFilingPeriod(isoDate) {
+  const [y, m] = isoDate.split('-');
+  return `${m}${y}`;
+}
+
+/* "19-West Bengal" -> "19" */
+const posCode = placeOfSupply => (placeOfSupply || '').split('-')[0];
+
+/* Item details block shared by b2b, b2cl, b2cs, cdnr and cdnur */
+function buildItemDetails(taxableValue, rate, totalTax, isIntrastate) {
+  const split = calculateGstSplit(totalTax, isIntrastate);
+  return {
+    txval: roundMoney(taxableValue),
+    rt: rate,
+    iamt: roundMoney(split.igst),
+    camt: roundMoney(split.cgst),
+    samt: roundMoney(split.sgst),
+    csamt: 0
+  };
+}
+
+/* One entry per recipient, one invoice per bill with an item per rate */
+function buildB2BSection(b2bData) {
+  const byRecipient = {};
+  const invoices = new Map();
+  b2bData.forEach(r => {
+    const ctin = r.recipient_gstin;
+    if (!byRecipient[ctin]) byRecipient[ctin] = { ctin, inv: [] };
+    if (!invoices.has(r.order_id)) {
+      const invoice = {
+        inum: r.invoice_number,
+        idt: toPortalDate(r.invoice_date),
+        val: roundMoney(r.invoice_value),
+        pos: posCode(r.place_of_supply),
+        rchrg: 'N',
+        inv_typ: 'R',
+        itms: []
+      };
+      invoices.set(r.order_id, invoice);
+      byRecipient[ctin].inv.push(invoice);
+    }
+    const invoice = invoices.get(r.order_id);
+    invoice.itms.push({
+      num: invoice.itms.length + 1,
+      itm_det: buildItemDetails(r.taxable_value, r.rate, r.total_tax_amount, r.is_intrastate)
+    });
+  });
+  return Object.values(byRecipient);
+}
+
+/* One entry per place of supply, one invoice per bill with an item per rate */
+function buildB2CLSection(b2clData) {
+  const byPos = {};
+  const invoices = new Map();
+  b2clData.forEach(r => {
+    const pos = posCode(r.place_of_supply);
+    if (!byPos[pos]) byPos[pos] = { pos, inv: [] };
+    if (!invoices.has(r.order_id)) {
+      const invoice = { inum: r.invoice_number, idt: toPortalDate(r.invoice_date), val: roundMoney(r.invoice_value), itms: [] };
+      invoices.set(r.order_id, invoice);
+      byPos[pos].inv.push(invoice);
+    }
+    const invoice = invoices.get(r.order_id);
+    const { txval, rt, iamt, csamt } = buildItemDetails(r.taxable_value, r.rate, r.total_tax_amount, false);
+    invoice.itms.push({ num: invoice.itms.length + 1, itm_det: { txval, rt, iamt, csamt } });
+  });
+  return Object.values(byPos);
+}
+
+function buildB2CSSection(b2csData) {
+  return b2csData.map(r => ({
+    sply_ty: r.is_intrastate ? 'INTRA' : 'INTER',
+    typ: 'OE',
+    pos: posCode(r.place_of_supply),
+    ...buildItemDetails(r.total_taxable_value, r.rate, r.total_tax_amount, r.is_intrastate)
+  }));
+}
+
+/* Groups the per-rate note rows back into one portal entry per note */
+function groupNotes(rows, toEntry) {
+  const notes = new Map();
+  rows.forEach(r => {
+    if (!notes.has(r.note_id)) notes.set(r.note_id, { ...toEntry(r), itms: [] });
+    const entry = notes.get(r.note_id);
+    entry.itms.push({
+      num: entry.itms.length + 1,
+      itm_det: buildItemDetails(r.taxable_value, r.rate, r.total_tax_amount, r.is_intrastate)
+    });
+  });
+  return [...notes.values()];
+}
+
+function buildCDNRSection(cdnrData) {
+  const byRecipient = {};
+  cdnrData.forEach(r => {
+    if (!byRecipient[r.recipient_gstin]) byRecipient[r.recipient_gstin] = [];
+    byRecipient[r.recipient_gstin].push(r);
+  });
+  return Object.entries(byRecipient).map(([ctin, rows]) => ({
+    ctin,
+    nt: groupNotes(rows, r => ({
+      ntty: r.note_type,
+      nt_num: r.note_number,
+      nt_dt: toPortalDate(r.note_date),
+      val: roundMoney(r.note_value),
+      pos: posCode(r.place_of_supply),
+      rchrg: 'N',
+      inv_typ: 'R'
+    }))
+  }));
+}
+
+function buildCDNURSection(cdnurData) {
+  return groupNotes(cdnurData, r => ({
+    typ: 'B2CL',
+    ntty: r.note_type,
+    nt_num: r.note_number,
+    nt_dt: toPortalDate(r.note_date),
+    val: roundMoney(r.note_value),
+    pos: posCode(r.place_of_supply)
+  }));
+}
+
+function buildHSNRows(hsnData) {
+  return hsnData.map((r, i) => ({
+    num: i + 1,
+    hsn_sc: r.hsn,
+    desc: (r.description || '').substring(0, 30),
+    uqc: (r.uqc || '').split('-')[0],
+    qty: r.total_quantity,
+    val: roundMoney(r.total_value),
+    rt: r.rate,
+    txval: roundMoney(r.taxable_value),
+    iamt: roundMoney(r.igst),
+    camt: roundMoney(r.cgst),
+    samt: roundMoney(r.sgst),
+    csamt: roundMoney(r.cess)
+  }));
+}
+
+/* Table 13: one row per invoice series (see documentIssueSeries); gaps count as cancelled only once confirmed */
+function buildDocIssueSection(docSeries) {
+  if (docSeries.length === 0) return { doc_det: [] };
+  return {
+    doc_det: [{
+      doc_num: 1,
+      docs: docSeries.map((s, i) => ({
+        num: i + 1, from: s.from, to: s.to, totnum: s.total, cancel: s.cancelled, net_issue: s.total - s.cancelled
+      }))
+    }]
+  };
+}
+
+/*
+ * Collects everything the portal would reject on upload. Each entry names the
+ * section and invoice (or row) so the offending bill can be corrected at source.
+ */
+function validateGstr1Json(payload) {
+  const errors = [];
+  const push = (section, reference, message) => errors.push({ section, reference, message });
+  const validPos = pos => Boolean(STATE_CODE_TO_NAME[pos]);
+
+  const sellerGstin = validateGstin(payload.gstin);
+  if (!sellerGstin.valid) {
+    push('header', 'gstin', `Seller ${sellerGstin.reason} (check the seller profile)`);
+  }
+  if (!/^(0[1-9]|1[0-2])\d{4}$/.test(payload.fp)) {
+    push('header', 'fp', `Filing period "${payload.fp}" is not in MMYYYY format.`);
+  }
+
+  payload.b2b.forEach(party => {
+    party.inv.forEach(inv => {
+      if (!GSTIN_REGEX.test(party.ctin || '')) {
+        push('b2b', inv.inum, `Recipient GSTIN "${party.ctin}" is malformed.`);
+      }
+      if (!INVOICE_NUMBER_REGEX.test(inv.inum || '')) {
+        push('b2b', inv.inum, 'Invoice number must be 1-16 characters of letters, digits, "/" or "-".');
+      }
+      if (!/^\d{2}-\d{2}-\d{4}$/.test(inv.idt)) {
+        push('b2b', inv.inum, `Invoice date "${inv.idt}" is invalid.`);
+      }
+      if (!validPos(inv.pos)) {
+        push('b2b', inv.inum, `Place of supply "${inv.pos}" is not a valid state code.`);
+      }
+      if (!(inv.val > 0)) {
+        push('b2b', inv.inum, 'Invoice value must be greater than zero.');
+      }
+      inv.itms.forEach(item => {
+        if (!GST_RATES.includes(item.itm_det.rt)) {
+          push('b2b', inv.inum, `Tax rate ${item.itm_det.rt}% is not a GST rate.`);
+        }
+      });
+    });
+  });
+
+  payload.b2cl.forEach(entry => {
+    entry.inv.forEach(inv => {
+      if (!INVOICE_NUMBER_REGEX.test(inv.inum || '')) {
+        push('b2cl', inv.inum, 'Invoice number must be 1-16 characters of letters, digits, "/" or "-".');
+      }
+      if (!/^\d{2}-\d{2}-\d{4}$/.test(inv.idt)) {
+        push('b2cl', inv.inum, `Invoice date "${inv.idt}" is invalid.`);
+      }
+      if (!validPos(entry.pos)) {
+        push('b2cl', inv.inum, `Place of supply "${entry.pos}" is not a valid state code.`);
+      }
+      inv.itms.forEach(item => {
+        if (!GST_RATES.includes(item.itm_det.rt)) {
+          push('b2cl', inv.inum, `Tax rate ${item.itm_det.rt}% is not a GST rate.`);
+        }
+      });
+    });
+  });
+
+  payload.b2cs.forEach(row => {
+    const reference = `${row.pos}@${row.rt}%`;
+    if (!validPos(row.pos)) push('b2cs', reference, `Place of supply "${row.pos}" is not a valid state code.`);
+    if (!GST_RATES.includes(row.rt)) push('b2cs', reference, `Tax rate ${row.rt}% is not a GST rate.`);
+  });
+
+  payload.cdnr.forEach(party => {
+    party.nt.forEach(note => {
+      if (!GSTIN_REGEX.test(party.ctin || '')) {
+        push('cdnr', note.nt_num, `Recipient GSTIN "${party.ctin}" is malformed.`);
+      }
+      if (!INVOICE_NUMBER_REGEX.test(note.nt_num || '')) {
+        push('cdnr', note.nt_num, 'Note number must be 1-16 characters of letters, digits, "/" or "-".');
+      }
+      if (!validPos(note.pos)) {
+        push('cdnr', note.nt_num, `Place of supply "${note.pos}" is not a valid state code.`);
+      }
+    });
+  });
+
+  payload.cdnur.forEach(note => {
+    if (!INVOICE_NUMBER_REGEX.test(note.nt_num || '')) {
+      push('cdnur', note.nt_num, 'Note number must be 1-16 characters of letters, digits, "/" or "-".');
+    }
+    if (!validPos(note.pos)) {
+      push('cdnur', note.nt_num, `Place of supply "${note.pos}" is not a valid state code.`);
+    }
+  });
+
+  ['hsn_b2b', 'hsn_b2c'].forEach(key => {
+    payload.hsn[key].forEach(row => {
+      if (!/^\d{4,8}$/.test(row.hsn_sc || '')) {
+        push(key, row.hsn_sc, `HSN/SAC "${row.hsn_sc}" must be 4 to 8 digits.`);
+      }
+      if (!row.uqc) push(key, row.hsn_sc, 'UQC is missing.');
+    });
+  });
+
+  return errors;
+}
+
 /* ------------------------------------------------------------------------------------------------
    MAIN FUNCTION
 ------------------------------------------------------------------------------------------------ */
-async function generateGstr1Report(startDate, endDate) {
-  const b2bData = await fetchB2BData(startDate, endDate);
-  const b2bSummary = await fetchB2BSummary(startDate, endDate);
-  const b2csData = await fetchB2CSData(startDate, endDate);
-  const hsnB2B = await fetchHSNData(startDate, endDate, true);
-  const hsnB2C = await fetchHSNData(startDate, endDate, false);
-
-  const filename = `GNX-GSTR1-${startDate.replace(/-/g,'')}-${endDate.replace(/-/g,'')}-${Date.now()}.xlsx`;
-  const downloads = path.join(__dirname, '..', 'downloads');
-  await fs.mkdir(downloads, { recursive: true });
-  const filePath = path.join(downloads, filename);
+/*
+ * Builds the GSTR-1 workbook. options.gapsCancelled reports the numbers missing from each
+ * invoice series as cancelled in Table 13; otherwise they are listed on a Series Gaps sheet.
+ */
+async function generateGstr1Report(startDate, endDate, { gapsCancelled = false } = {}) {
+  const seller = await getSellerProfile();
+  const b2bRows = await fetchB2BData(startDate, endDate, seller);
+  const { filed: b2bData, exceptions } = separateB2BExceptions(b2bRows);
+  const b2clData = await fetchB2CLData(startDate, endDate, seller);
+  const b2csData = await fetchB2CSData(startDate, endDate, seller, [...new Set(b2clData.map(r => r.order_id))]);
+  const hsnB2B = await fetchHSNData(startDate, endDate, true, seller);
+  const hsnB2C = await fetchHSNData(startDate, endDate, false, seller);
+  const cdnrData = await fetchCDNRData(startDate, endDate, seller);
+  const cdnurData = await fetchCDNURData(startDate, endDate, seller);
+  const docSeries = documentIssueSeries(await fetchBillNumbers(startDate, endDate), { gapsCancelled });
+
+  const filename = `${seller.invoice_prefix}-GSTR1-${startDate.replace(/-/g,'')}-${endDate.replace(/-/g,'')}-${Date.now()}.xlsx`;
+  const filePath = await prepareDownloadPath(filename);
 
   const workbook = new ExcelJS.Workbook();
-  addB2BSheet(workbook, b2bData, b2bSummary);
+  addB2BSheet(workbook, b2bData, summarizeB2B(b2bData));
+  addB2CLSheet(workbook, b2clData);
   addB2CSSheet(workbook, b2csData);
-  addCDNRSheet(workbook);
-  addCDNURSheet(workbook);
+  addCDNRSheet(workbook, cdnrData);
+  addCDNURSheet(workbook, cdnurData);
   addHSNSheet(workbook, hsnB2B, "HSN (B2B)", "Summary For HSN B2B");
   addHSNSheet(workbook, hsnB2C, "HSN (B2C)", "Summary For HSN B2C");
+  addDocsSheet(workbook, docSeries);
+  const seriesGaps = unconfirmedSeriesGaps(docSeries);
+  if (seriesGaps.length > 0) {
+    addSeriesGapsSheet(workbook, seriesGaps);
+  }
+  if (exceptions.length > 0) {
+    addExceptionsSheet(workbook, exceptions);
+  }
+  const hsnExceptions = collectHSNExceptions(hsnB2B, hsnB2C);
+  if (hsnExceptions.length > 0) {
+    addHSNExceptionsSheet(workbook, hsnExceptions);
+  }
+  const hsnMismatches = checkHSNTotals(hsnB2B, hsnB2C, { b2bRows, b2clData, b2csData });
+  if (hsnMismatches.length > 0) {
+    addHSNTieOutSheet(workbook, hsnMismatches);
+  }
 
   await workbook.xlsx.writeFile(filePath);
   return path.join("downloads", filename);
 }
 
-module.exports = { generateGstr1Report };
+/*
+ * Builds the GSTR-1 JSON accepted by the GST portal's offline upload. Nothing is written
+ * if validation fails; the caller gets the list of offending invoices instead. Invoice series
+ * gaps do not block the export but come back as findings to confirm (see generateGstr1Report).
+ */
+async function generateGstr1Json(startDate, endDate, { gapsCancelled = false } = {}) {
+  const seller = await getSellerProfile();
+  const b2bRows = await fetchB2BData(startDate, endDate, seller);
+  const { filed: b2bData, exceptions } = separateB2BExceptions(b2bRows);
+  const b2clData = await fetchB2CLData(startDate, endDate, seller);
+  const b2csData = await fetchB2CSData(startDate, endDate, seller, [...new Set(b2clData.map(r => r.order_id))]);
+  const hsnB2B = await fetchHSNData(startDate, endDate, true, seller);
+  const hsnB2C = await fetchHSNData(startDate, endDate, false, seller);
+  const cdnrData = await fetchCDNRData(startDate, endDate, seller);
+  const cdnurData = await fetchCDNURData(startDate, endDate, seller);
+  const docSeries = documentIssueSeries(await fetchBillNumbers(startDate, endDate), { gapsCancelled });
+
+  const payload = {
+    gstin: seller.gstin,
+    fp: toFilingPeriod(startDate),
+    b2b: buildB2BSection(b2bData),
+    b2cl: buildB2CLSection(b2clData),
+    b2cs: buildB2CSSection(b2csData),
+    hsn: { hsn_b2b: buildHSNRows(hsnB2B), hsn_b2c: buildHSNRows(hsnB2C) },
+    cdnr: buildCDNRSection(cdnrData),
+    cdnur: buildCDNURSection(cdnurData),
+    doc_issue: buildDocIssueSection(docSeries)
+  };
+
+  // The JSON has no place for unfiled invoices, so GSTIN and HSN exceptions block the export,
+  // as does an HSN summary that does not tie back to the invoices
+  const errors = [
+    ...exceptions.map(r => ({ section: 'b2b', reference: r.invoice_number, message: r.issue })),
+    ...collectHSNExceptions(hsnB2B, hsnB2C).map(r => ({ section: r.section, reference: `${r.hsn} @ ${r.rate}%`, message: r.issue })),
+    ...checkHSNTotals(hsnB2B, hsnB2C, { b2bRows, b2clData, b2csData })
+      .map(r => ({ section: r.section, reference: `${r.rate}%`, message: r.issue })),
+    ...validateGstr1Json(payload)
+  ];
+  if (errors.length > 0) {
+    return { valid: false, errors };
+  }
+
+  const filename = `${seller.invoice_prefix}-GSTR1-${startDate.replace(/-/g,'')}-${endDate.replace(/-/g,'')}-${Date.now()}.json`;
+  const filePath = await prepareDownloadPath(filename);
+  await fs.writeFile(filePath, JSON.stringify(payload, null, 2));
+  return { valid: true, downloadPath: path.join("downloads", filename), seriesGaps: unconfirmedSeriesGaps(docSeries) };
+}
+
+module.exports = {
+  generateGstr1Report,
+  generateGstr1Json,
+  // Shared with the GSTR-3B computation
+  recipientStateCode,
+  isIntrastateSupply,
+  calculateGstSplit,
+  toFilingPeriod,
+  GST_HEADER_STYLE
+};
@@ -0,0 +1,273 @@
+const ExcelJS = require('exceljs');
+const fs = require('fs').promises;
+const path = require('path');
+const { sequelize } = require('../config/db');
+const { QueryTypes } = require('sequelize');
+const { STATE_CODE_TO_NAME } = require('../config/gst');
+const { getSellerProfile } = require('./sellerProfileService');
+const {
+  recipientStateCode,
+  isIntrastateSupply,
+  calculateGstSplit,
+  toFilingPeriod,
+  GST_HEADER_STYLE
+} = require('./gstr1Service');
+const { prepareDownloadPath } = require('./downloads');
+const { roundMoney, addMoney } = require('../config/money');
+
+const emptyAmounts = () => ({ txval: 0, iamt: 0, camt: 0, samt: 0, csamt: 0 });
+
+/* ------------------------------------------------------------------------------------------------
+   FETCH SUPPLIES (invoices and notes, by recipient and rate)
+------------------------------------------------------------------------------------------------ */
+/* Invoice lines of the period, one row per recipient + rate */
+async function fetchInvoiceSupplies(startDate, endDate) {
+  const query = `
+    SELECT
+      C.gst_number AS recipient_gstin,
+      C.state_name AS customer_state,
+      I.gst_rate AS rate,
+      SUM(I.unit_cost_at_sale * I.quantity) AS taxable_value,
+      SUM(I.order_line_tax) AS tax_amount
+    FROM orders O
+    INNER JOIN customers C ON O.customer_id = C.id
+    INNER JOIN order_items I ON O.id = I.order_id
+    WHERE O.order_date BETWEEN :startDate AND :endDate
+    GROUP BY C.gst_number, C.state_name, I.gst_rate;
+  `;
+  return sequelize.query(query, { replacements: { startDate, endDate }, type: QueryTypes.SELECT });
+}
+
+/* Credit/debit note lines of the period; credit notes come back negative so they can simply be added */
+async function fetchNoteSupplies(startDate, endDate) {
+  const query = `
+    SELECT
+      C.gst_number AS recipient_gstin,
+      C.state_name AS customer_state,
+      NI.gst_rate AS rate,
+      SUM(CASE WHEN N.note_type = 'D' THEN 1 ELSE -1 END * NI.unit_cost * NI.quantity) AS taxable_value,
+      SUM(CASE WHEN N.note_type = 'D' THEN 1 ELSE -1 END * NI.line_tax) AS tax_amount
+    FROM credit_notes N
+    INNER JOIN customers C ON N.customer_id = C.id
+    INNER JOIN credit_note_items NI ON NI.credit_note_id = N.id
+    WHERE N.note_date BETWEEN :startDate AND :endDate
+    GROUP BY C.gst_number, C.state_name, NI.gst_rate;
+  `;
+  return sequelize.query(query, { replacements: { startDate, endDate }, type: QueryTypes.SELECT });
+}
+
+/* ------------------------------------------------------------------------------------------------
+   COMPUTE TABLES 3.1 AND 3.2
+------------------------------------------------------------------------------------------------ */
+/*
+ * Adds one supply row to the running totals:
+ *   3.1(a) taxable supplies (rate > 0), 3.1(c) nil rated / exempt (rate 0), and
+ *   3.2 inter-state taxable supplies to unregistered persons by place of supply.
+ * Nil/exempt values are also split inter/intra-state as in GSTR-1 Table 8.
+ */
+function addSupply(totals, r, seller) {
+  const taxable = roundMoney(r.taxable_value);
+  const rate = parseFloat(r.rate || 0);
+  const stateCode = recipientStateCode(r.recipient_gstin, r.customer_state, seller);
+  const isIntrastate = isIntrastateSupply(stateCode, seller);
+  const isRegistered = Boolean(r.recipient_gstin);
+
+  if (rate === 0) {
+    totals.nil_exempt.txval = addMoney(totals.nil_exempt.txval, taxable);
+    const splitKey = isIntrastate ? 'intra_state' : 'inter_state';
+    totals.nil_exempt_split[splitKey] = addMoney(totals.nil_exempt_split[splitKey], taxable);
+    return;
+  }
+
+  const split = calculateGstSplit(r.tax_amount, isIntrastate);
+  const outward = totals.outward_taxable;
+  outward.txval = addMoney(outward.txval, taxable);
+  outward.iamt = addMoney(outward.iamt, split.igst);
+  outward.camt = addMoney(outward.camt, split.cgst);
+  outward.samt = addMoney(outward.samt, split.sgst);
+
+  if (!isRegistered && !isIntrastate) {
+    if (!totals.unregistered[stateCode]) {
+      totals.unregistered[stateCode] = { pos: stateCode, place_of_supply: `${stateCode}-${STATE_CODE_TO_NAME[stateCode]}`, txval: 0, iamt: 0 };
+    }
+    const pos = totals.unregistered[stateCode];
+    pos.txval = addMoney(pos.txval, taxable);
+    pos.iamt = addMoney(pos.iamt, split.igst);
+  }
+}
+
+function roundAmounts(amounts) {
+  return Object.fromEntries(Object.entries(amounts).map(([key, value]) => [key, roundMoney(value)]));
+}
+
+/**
+ * Computes the GSTR-3B outward supply tables for a period from the orders and
+ * credit/debit notes dated in it. Notes are netted against the same table and
+ * place of supply as the invoices they adjust.
+ * @returns {object} { gstin, fp, startDate, endDate, table_3_1, nil_exempt_split, table_3_2, adjustments }
+ */
+async function computeGstr3bSummary(startDate, endDate) {
+  return buildSummary(startDate, endDate, await getSellerProfile());
+}
+
+async function buildSummary(startDate, endDate, seller) {
+  const invoiceRows = await fetchInvoiceSupplies(startDate, endDate);
+  const noteRows = await fetchNoteSupplies(startDate, endDate);
+
+  const newTotals = () => ({
+    outward_taxable: emptyAmounts(),
+    nil_exempt: emptyAmounts(),
+    nil_exempt_split: { inter_state: 0, intra_state: 0 },
+    unregistered: {}
+  });
+  const invoices = newTotals();
+  const notes = newTotals();
+  const net = newTotals();
+  invoiceRows.forEach(r => { addSupply(invoices, r, seller); addSupply(net, r, seller); });
+  noteRows.forEach(r => { addSupply(notes, r, seller); addSupply(net, r, seller); });
+
+  return {
+    gstin: seller.gstin,
+    fp: toFilingPeriod(startDate),
+    startDate,
+    endDate,
+    table_3_1: {
+      outward_taxable: roundAmounts(net.outward_taxable),
+      outward_zero_rated: emptyAmounts(),
+      outward_nil_exempt: roundAmounts(net.nil_exempt),
+      inward_reverse_charge: emptyAmounts(),
+      outward_non_gst: emptyAmounts()
+    },
+    nil_exempt_split: roundAmounts(net.nil_exempt_split),
+    table_3_2: {
+      unregistered: Object.values(net.unregistered)
+        .map(r => ({ ...r, txval: roundMoney(r.txval), iamt: roundMoney(r.iamt) }))
+        .filter(r => r.txval !== 0 || r.iamt !== 0)
+        .sort((a, b) => a.pos.localeCompare(b.pos))
+    },
+    adjustments: {
+      invoices: roundAmounts(invoices.outward_taxable),
+      notes: roundAmounts(notes.outward_taxable),
+      nil_exempt_invoices: roundMoney(invoices.nil_exempt.txval),
+      nil_exempt_notes: roundMoney(notes.nil_exempt.txval)
+    }
+  };
+}
+
+/* ------------------------------------------------------------------------------------------------
+   XLSX EXPORT
+------------------------------------------------------------------------------------------------ */
+const BORDER = GST_HEADER_STYLE.border;
+
+function addTitle(sheet, range, title) {
+  sheet.mergeCells(range);
+  sheet.getCell(range.split(':')[0]).value = title;
+  sheet.getCell(range.split(':')[0]).font = { bold: true, size: 14 };
+}
+
+function addTableRow(sheet, values) {
+  const row = sheet.addRow(values);
+  row.eachCell(c => c.border = BORDER);
+}
+
+function addTable31Sheet(workbook, summary) {
+  const sheet = workbook.addWorksheet('3.1 Outward Supplies');
+  addTitle(sheet, 'A1:F1', `3.1 Details of Outward Supplies and inward supplies liable to reverse charge (${summary.startDate} to ${summary.endDate})`);
+
+  sheet.getRow(2).values = ['Nature of Supplies', 'Total Taxable Value', 'Integrated Tax', 'Central Tax', 'State/UT Tax', 'Cess'];
+  sheet.getRow(2).eachCell(c => c.style = GST_HEADER_STYLE);
+
+  const t = summary.table_3_1;
+  [
+    ['(a) Outward taxable supplies (other than zero rated, nil rated and exempted)', t.outward_taxable],
+    ['(b) Outward taxable supplies (zero rated)', t.outward_zero_rated],
+    ['(c) Other outward supplies (Nil rated, exempted)', t.outward_nil_exempt],
+    ['(d) Inward supplies (liable to reverse charge)', t.inward_reverse_charge],
+    ['(e) Non-GST outward supplies', t.outward_non_gst]
+  ].forEach(([label, a]) => addTableRow(sheet, [label, a.txval, a.iamt, a.camt, a.samt, a.csamt]));
+
+  sheet.addRow([]);
+  sheet.addRow(['Nil rated / exempt supplies, inter-state', summary.nil_exempt_split.inter_state]);
+  sheet.addRow(['Nil rated / exempt supplies, intra-state', summary.nil_exempt_split.intra_state]);
+
+  sheet.columns.forEach(col => col.width = 18);
+  sheet.getColumn(1).width = 70;
+}
+
+function addTable32Sheet(workbook, summary) {
+  const sheet = workbook.addWorksheet('3.2 Inter-State Supplies');
+  addTitle(sheet, 'A1:C1', '3.2 Inter-State supplies made to unregistered persons');
+
+  sheet.getRow(2).values = ['Place of Supply (State/UT)', 'Total Taxable Value', 'Amount of Integrated Tax'];
+  sheet.getRow(2).eachCell(c => c.style = GST_HEADER_STYLE);
+
+  summary.table_3_2.unregistered.forEach(r => addTableRow(sheet, [r.place_of_supply, r.txval, r.iamt]));
+
+  sheet.columns.forEach(col => col.width = 25);
+}
+
+/* How 3.1(a) and 3.1(c) were reached: invoices plus credit/debit notes */
+function addAdjustmentsSheet(workbook, summary) {
+  const sheet = workbook.addWorksheet('Notes Adjustment');
+  addTitle(sheet, 'A1:F1', 'Invoices and credit/debit notes behind table 3.1');
+
+  sheet.getRow(2).values = ['', 'Taxable Value', 'Integrated Tax', 'Central Tax', 'State/UT Tax', 'Nil / Exempt Value'];
+  sheet.getRow(2).eachCell(c => c.style = GST_HEADER_STYLE);
+
+  const a = summary.adjustments;
+  const net = summary.table_3_1.outward_taxable;
+  addTableRow(sheet, ['Invoices', a.invoices.txval, a.invoices.iamt, a.invoices.camt, a.invoices.samt, a.nil_exempt_invoices]);
+  addTableRow(sheet, ['Credit / debit notes', a.notes.txval, a.notes.iamt, a.notes.camt, a.notes.samt, a.nil_exempt_notes]);
+  addTableRow(sheet, ['Net (reported)', net.txval, net.iamt, net.camt, net.samt, summary.table_3_1.outward_nil_exempt.txval]);
+
+  sheet.columns.forEach(col => col.width = 18);
+  sheet.getColumn(1).width = 25;
+}
+
+async function generateGstr3bReport(startDate, endDate) {
+  const seller = await getSellerProfile();
+  const summary = await buildSummary(startDate, endDate, seller);
+
+  const workbook = new ExcelJS.Workbook();
+  addTable31Sheet(workbook, summary);
+  addTable32Sheet(workbook, summary);
+  addAdjustmentsSheet(workbook, summary);
+
+  const filename = `${seller.invoice_prefix}-GSTR3B-${startDate.replace(/-/g,'')}-${endDate.replace(/-/g,'')}-${Date.now()}.xlsx`;
+  await workbook.xlsx.writeFile(await prepareDownloadPath(filename));
+  return path.join("downloads", filename);
+}
+
+/* ------------------------------------------------------------------------------------------------
+   JSON EXPORT (GSTR-3B OFFLINE UTILITY SCHEMA)
+------------------------------------------------------------------------------------------------ */
+function buildGstr3bJson(summary) {
+  const t = summary.table_3_1;
+  return {
+    gstin: summary.gstin,
+    ret_period: summary.fp,
+    sup_details: {
+      osup_det: t.outward_taxable,
+      osup_zero: { txval: t.outward_zero_rated.txval, iamt: t.outward_zero_rated.iamt, csamt: t.outward_zero_rated.csamt },
+      osup_nil_exmp: { txval: t.outward_nil_exempt.txval },
+      isup_rev: t.inward_reverse_charge,
+      osup_nongst: { txval: t.outward_non_gst.txval }
+    },
+    inter_sup: {
+      unreg_details: summary.table_3_2.unregistered.map(r => ({ pos: r.pos, txval: r.txval, iamt: r.iamt })),
+      comp_details: [],
+      uin_details: []
+    }
+  };
+}
+
+async function generateGstr3bJson(startDate, endDate) {
+  const seller = await getSellerProfile();
+  const summary = await buildSummary(startDate, endDate, seller);
+
+  const filename = `${seller.invoice_prefix}-GSTR3B-${startDate.replace(/-/g,'')}-${endDate.replace(/-/g,'')}-${Date.now()}.json`;
+  await fs.writeFile(await prepareDownloadPath(filename), JSON.stringify(buildGstr3bJson(summary), null, 2));
+  return path.join("downloads", filename);
+}
+
+module.exports = { computeGstr3bSummary, generateGstr3bReport, generateGstr3bJson };
@@ -0,0 +1,125 @@
+const fs = require('fs');
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/db');
+const { HsnCode } = require('../models');
+const { HSN_CODE_REGEX, normalizeUqc, findHsnCodeIssue } = require('../config/gst');
+const { readSpreadsheetSheets } = require('./orderFileParser');
+
+// Header patterns of the official list (HSN_CD / HSN_Description, SAC_CD / SAC_Description)
+// and of hand-made files (HSN Code / Description / UQC)
+const CODE_HEADER_REGEX = /^(hsn|sac|hsn\s*\/\s*sac)[\s_]*(cd|code)?$/i;
+const DESCRIPTION_HEADER_REGEX = /desc/i;
+const UQC_HEADER_REGEX = /^uqc/i;
+
+const INSERT_CHUNK_SIZE = 1000;
+
+/**
+ * Cleans a code cell: "8523.80.20" -> "85238020". Spreadsheets store codes as numbers,
+ * which drops the leading zero of chapters 01-09 (101 -> "0101"), so odd lengths are padded.
+ */
+function normalizeHsnCode(value) {
+    const code = (value === null || value === undefined ? '' : value).toString().replace(/[\s.]/g, '');
+    if (!/^\d+$/.test(code)) return code;
+    return code.length % 2 === 1 ? `0${code}` : code;
+}
+
+/**
+ * Imports the official HSN/SAC list (CSV or XLSX, every sheet) into the HSN master.
+ * Existing codes get the new description; their UQC is only replaced when the file has a UQC column.
+ * Chapter rows (2 digits) and rows without a description are skipped and reported.
+ * @returns {object} { success, message, imported?, created?, updated?, skippedRows? }
+ */
+async function importHsnMaster(filePath) {
+    try {
+        const sheets = await readSpreadsheetSheets(filePath);
+        const entries = new Map();
+        const skippedRows = [];
+        let hasUqcColumn = false;
+
+        sheets.forEach(sheet => {
+            const codeHeader = sheet.headers.find(h => CODE_HEADER_REGEX.test(h));
+            const descriptionHeader = sheet.headers.find(h => DESCRIPTION_HEADER_REGEX.test(h));
+            const uqcHeader = sheet.headers.find(h => UQC_HEADER_REGEX.test(h));
+            if (!codeHeader || !descriptionHeader) return;
+            if (uqcHeader) hasUqcColumn = true;
+
+            sheet.rows.forEach(({ rowNumber, values }) => {
+                const rawCode = values[codeHeader];
+                const code = normalizeHsnCode(rawCode);
+                const description = (values[descriptionHeader] || '').toString().trim();
+                const skip = reason => skippedRows.push({ sheet: sheet.name, rowNumber, code: rawCode, reason });
+
+                if (!code) return;
+                if (!HSN_CODE_REGEX.test(code)) return skip(`"${rawCode}" is not a 4, 6 or 8 digit HSN/SAC code.`);
+                if (!description) return skip('Description is empty.');
+
+                let uqc = null;
+                if (uqcHeader && values[uqcHeader]) {
+                    uqc = normalizeUqc(values[uqcHeader]);
+                    if (!uqc) return skip(`Unknown UQC "${values[uqcHeader]}".`);
+                }
+                entries.set(code, { code, description, uqc });
+            });
+        });
+
+        if (entries.size === 0) {
+            return {
+                success: false,
+                message: 'No HSN/SAC codes found. Expected a code column (e.g. HSN_CD, SAC_CD, HSN Code) and a description column.',
+                skippedRows,
+            };
+        }
+
+        const updateFields = hasUqcColumn ? ['description', 'uqc', 'updated_at'] : ['description', 'updated_at'];
+        const rows = Array.from(entries.values());
+        const countBefore = await HsnCode.count();
+        await sequelize.transaction(async (t) => {
+            for (let i = 0; i < rows.length; i += INSERT_CHUNK_SIZE) {
+                await HsnCode.bulkCreate(rows.slice(i, i + INSERT_CHUNK_SIZE), { updateOnDuplicate: updateFields, transaction: t });
+            }
+        });
+        const created = (await HsnCode.count()) - countBefore;
+
+        return {
+            success: true,
+            message: `Imported ${rows.length} HSN/SAC code(s): ${created} new, ${rows.length - created} updated, ${skippedRows.length} row(s) skipped.`,
+            imported: rows.length,
+            created,
+            updated: rows.length - created,
+            skippedRows,
+        };
+    } finally {
+        fs.unlink(filePath, (err) => {
+            if (err) console.error('Error deleting file:', err);
+        });
+    }
+}
+
+/**
+ * Looks up HSN master entries for a set of codes.
+ * @returns {Map<string, object>} code -> { code, description, uqc }
+ */
+async function findHsnEntries(codes) {
+    const unique = Array.from(new Set(codes.filter(Boolean)));
+    if (unique.length === 0) return new Map();
+
+    const entries = await HsnCode.findAll({
+        where: { code: { [Op.in]: unique } },
+        attributes: ['code', 'description', 'uqc'],
+        raw: true,
+    });
+    return new Map(entries.map(entry => [entry.code, entry]));
+}
+
+/**
+ * Why an HSN/SAC code cannot be reported as-is: wrong length for the seller's turnover
+ * slab, or not in the HSN master. Returns null for a good code.
+ */
+function findHsnIssue(code, masterEntry, seller) {
+    const codeIssue = findHsnCodeIssue(code, seller.aggregate_turnover_slab);
+    if (codeIssue) return codeIssue;
+    if (!masterEntry) return `HSN/SAC ${code} is not in the HSN master. Import the official list or correct the product.`;
+    return null;
+}
+
+module.exports = { importHsnMaster, findHsnEntries, findHsnIssue };
@@ -0,0 +1,263 @@
+const ExcelJS = require('exceljs');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { Op } = require('sequelize');
+const { ImportJob, ImportJobIssue } = require('../models');
+const { prepareDownloadPath } = require('./downloads');
+
+// Summary keys used by the import services -> ImportJob columns
+const SUMMARY_COLUMNS = {
+    totalProcessed: 'total_processed',
+    successfulInserts: 'successful_inserts',
+    failedInserts: 'failed_inserts',
+    skippedDuplicates: 'skipped_duplicates',
+    updatedOrders: 'updated_orders',
+    unchangedOrders: 'unchanged_orders',
+    warnings: 'warnings',
+};
+
+/* SHA-256 of an uploaded file, streamed so large uploads are not loaded into memory */
+function hashFile(filePath) {
+    return new Promise((resolve, reject) => {
+        const hash = crypto.createHash('sha256');
+        fs.createReadStream(filePath)
+            .on('data', chunk => hash.update(chunk))
+            .on('end', () => resolve(hash.digest('hex')))
+            .on('error', reject);
+    });
+}
+
+/**
+ * Creates a PENDING job record for an upload or sync.
+ * @param {object} data - { job_type, file_path?, file_name?, uploaded_by? }
+ */
+async function createImportJob({ job_type, file_path, file_name, uploaded_by }) {
+    return ImportJob.create({
+        job_type,
+        file_name: file_name || null,
+        file_hash: file_path ? await hashFile(file_path) : null,
+        uploaded_by: uploaded_by || null,
+    });
+}
+
+function summaryToColumns(summary) {
+    const values = {};
+    for (const [key, column] of Object.entries(SUMMARY_COLUMNS)) {
+        if (summary[key] !== undefined) values[column] = summary[key];
+    }
+    return values;
+}
+
+/**
+ * Writes the in-memory summary counters of a running job to its record.
+ */
+async function saveJobProgress(job, summary) {
+    await job.update(summaryToColumns(summary));
+}
+
+/**
+ * Runs an import task in the background and records its lifecycle on the job.
+ * The task receives the job and returns the final summary. The returned promise never
+ * rejects, so callers can leave it unawaited.
+ */
+function runImportJob(job, task) {
+    return job.update({ status: 'RUNNING', started_at: new Date() })
+        .then(() => task(job))
+        .then(finalSummary => job.update({
+            ...summaryToColumns(finalSummary),
+            status: 'COMPLETED',
+            finished_at: new Date(),
+        }))
+        .catch(error => {
+            console.error(`Job ${job.id} failed:`, error);
+            return job.update({ status: 'FAILED', error: error.message, finished_at: new Date() });
+        })
+        // Recording the failure can fail too (e.g. the database went away); the job is then
+        // left RUNNING until the next restart marks it INTERRUPTED
+        .catch(error => console.error(`Failed to record the outcome of job ${job.id}:`, error));
+}
+
+/* Shapes a job record like the original in-memory status: { status, summary, error } */
+function formatJob(job) {
+    const warnings = typeof job.warnings === 'string' ? JSON.parse(job.warnings) : job.warnings || [];
+    return {
+        job_id: job.id,
+        job_type: job.job_type,
+        file_name: job.file_name,
+        file_hash: job.file_hash,
+        uploaded_by: job.uploaded_by,
+        status: job.status,
+        started_at: job.started_at,
+        finished_at: job.finished_at,
+        summary: {
+            totalProcessed: job.total_processed,
+            successfulInserts: job.successful_inserts,
+            failedInserts: job.failed_inserts,
+            skippedDuplicates: job.skipped_duplicates,
+            updatedOrders: job.updated_orders,
+            unchangedOrders: job.unchanged_orders,
+            warnings,
+        },
+        error: job.error,
+    };
+}
+
+/**
+ * Returns a single job in API shape, or null if it does not exist.
+ */
+async function getImportJob(jobId) {
+    const job = await ImportJob.findByPk(jobId);
+    return job ? formatJob(job) : null;
+}
+
+/**
+ * Lists jobs, newest first.
+ * @param {object} options - { page = 1, pageSize = 20, status?, jobType? }
+ */
+async function listImportJobs({ page = 1, pageSize = 20, status, jobType } = {}) {
+    const limit = Math.min(Math.max(parseInt(pageSize, 10) || 20, 1), 100);
+    const currentPage = Math.max(parseInt(page, 10) || 1, 1);
+    const where = {};
+    if (status) where.status = status;
+    if (jobType) where.job_type = jobType;
+
+    const { rows, count } = await ImportJob.findAndCountAll({
+        where,
+        order: [['id', 'DESC']],
+        limit,
+        offset: (currentPage - 1) * limit,
+    });
+
+    return {
+        jobs: rows.map(formatJob),
+        pagination: { page: currentPage, pageSize: limit, total: count, totalPages: Math.ceil(count / limit) },
+    };
+}
+
+/**
+ * Stores skipped, failed and duplicate orders against the job.
+ * @param {object} job - ImportJob record.
+ * @param {Array} issues - [{ kind, bill_number, row_numbers, reason, source_rows }]
+ */
+async function recordJobIssues(job, issues) {
+    if (issues.length === 0) return;
+    await ImportJobIssue.bulkCreate(issues.map(issue => ({
+        kind: issue.kind,
+        bill_number: issue.bill_number || null,
+        row_numbers: issue.row_numbers || [],
+        reason: issue.reason,
+        source_rows: issue.source_rows || null,
+        importJobId: job.id,
+    })));
+}
+
+function parseJsonColumn(value) {
+    return typeof value === 'string' ? JSON.parse(value) : value;
+}
+
+/**
+ * Lists the issues recorded for a job in file order, or null if the job does not exist.
+ * @param {object} options - { kind? } to return only SKIPPED, FAILED or DUPLICATE entries.
+ */
+async function listJobIssues(jobId, { kind } = {}) {
+    const job = await ImportJob.findByPk(jobId);
+    if (!job) return null;
+
+    const where = { importJobId: job.id };
+    if (kind) where.kind = kind;
+    const issues = await ImportJobIssue.findAll({ where, order: [['id', 'ASC']] });
+
+    return {
+        job,
+        issues: issues.map(issue => ({
+            kind: issue.kind,
+            bill_number: issue.bill_number,
+            row_numbers: parseJsonColumn(issue.row_numbers) || [],
+            reason: issue.reason,
+            source_rows: parseJsonColumn(issue.source_rows),
+        })),
+    };
+}
+
+/* XLSX dates come back from the JSON column as ISO strings; restore them so Excel shows dates */
+const ISO_DATE_REGEX = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?Z$/;
+function restoreCellValue(value) {
+    return typeof value === 'string' && ISO_DATE_REGEX.test(value) ? new Date(value) : value;
+}
+
+/**
+ * Writes the job's issues as an XLSX with the uploaded file's columns plus "Error",
+ * one line per original row, so the rows can be corrected and uploaded again.
+ * Jobs without a source file (API syncs) get Bill Number + Error only.
+ * @returns {string|null} Path under downloads/, or null if the job does not exist.
+ */
+async function generateJobErrorReport(jobId, options) {
+    const result = await listJobIssues(jobId, options);
+    if (!result) return null;
+    const { job, issues } = result;
+
+    const headers = parseJsonColumn(job.source_headers) || [];
+    const columns = headers.length > 0 ? headers : ['Bill Number'];
+
+    const workbook = new ExcelJS.Workbook();
+    const sheet = workbook.addWorksheet('Errors');
+    sheet.columns = [...columns, 'Error'].map(header => ({ header, key: header, width: 18 }));
+    sheet.getRow(1).font = { bold: true };
+    sheet.getColumn('Error').width = 60;
+
+    issues.forEach(issue => {
+        const error = `${issue.kind}: ${issue.reason}`;
+        const sourceRows = issue.source_rows && headers.length > 0
+            ? issue.source_rows
+            : [{ [columns[0]]: issue.bill_number }];
+
+        sourceRows.forEach(values => {
+            const row = { Error: error };
+            columns.forEach(header => {
+                if (values[header] !== undefined) row[header] = restoreCellValue(values[header]);
+            });
+            sheet.addRow(row);
+        });
+    });
+
+    const filename = `import-job-${job.id}-errors-${Date.now()}.xlsx`;
+    await workbook.xlsx.writeFile(await prepareDownloadPath(filename));
+    return path.join('downloads', filename);
+}
+
+/**
+ * The PENDING/RUNNING job of a type, if any, so a second one is not started alongside it.
+ */
+async function findActiveJob(jobType) {
+    return ImportJob.findOne({
+        where: { job_type: jobType, status: { [Op.in]: ['PENDING', 'RUNNING'] } },
+        order: [['id', 'DESC']],
+    });
+}
+
+/**
+ * Jobs still PENDING/RUNNING when the server starts were cut off by a restart.
+ * @returns {number} Number of jobs marked INTERRUPTED.
+ */
+async function markInterruptedJobs() {
+    const [count] = await ImportJob.update(
+        { status: 'INTERRUPTED', finished_at: new Date(), error: 'Server restarted before the job finished.' },
+        { where: { status: { [Op.in]: ['PENDING', 'RUNNING'] } } }
+    );
+    if (count > 0) console.warn(`Marked ${count} unfinished import job(s) as INTERRUPTED.`);
+    return count;
+}
+
+module.exports = {
+    createImportJob,
+    saveJobProgress,
+    runImportJob,
+    getImportJob,
+    listImportJobs,
+    recordJobIssues,
+    listJobIssues,
+    generateJobErrorReport,
+    markInterruptedJobs,
+    findActiveJob,
+};
@@ -1,100 +1,14 @@
-const ExcelJS = require('exceljs');
 const fs = require('fs');
 const { sequelize } = require('../config/db');
-// Import all four models
-const { Customer, Order, OrderItem, Product } = require('../models'); 
-
-// Map Excel Column Headers to Database/Model Keys
-const COLUMN_MAP = {
-    'Bill Number': 'bill_number',
-    'Order Number': 'order_number',
-    'Order Date': 'order_date',
-    'Customer User ID': 'customer_user_id', 
-    'Customer Username': 'customer_username', 
-    'Party Name': 'party_name',
-    'Company (Billing)': 'company_billing',
-    'GST Number': 'gst_number',
-    'State Name': 'state_name',
-    'Address': 'address',
-    'Pincode': 'pincode',
-    'Country': 'country',
-    'Email': 'email',
-    'Phone': 'phone',
-    'Item #': 'item_hash',
-    'Product Id': 'product_id', 
-    'Item Name': 'item_name', 
-    'HSN Code': 'hsn_code',
-    'GST Rate': 'gst_rate',
-    'Quantity': 'quantity',
-    'Item Cost': 'item_cost', 
-    'Order Line Tax': 'order_line_tax',
-    'Cart Discount Amount': 'cart_discount_amount',
-    'Order Subtotal Amount': 'order_subtotal_amount',
-    'Order Total Tax Amount': 'order_total_tax_amount',
-    'Order Total Amount': 'order_total_amount',
-    'Payment Method': 'payment_method',
-    'Transaction ID': 'transaction_id',
-};
+// Import the models written by the importer
+const { Customer, Order, OrderItem, OrderChange, Product } = require('../models'); 
+const { findGstinIssue, normalizeGstin, isMissingState } = require('../config/gst');
+const { roundMoney, formatMoney } = require('../config/money');
+const { parseFileAndGroupOrders } = require('./orderFileParser');
+const { saveJobProgress, recordJobIssues } = require('./importJobService');
+const { findProductMasterConflicts } = require('./productService');
+const { checkOrderArithmetic } = require('./taxValidationService');
 
-
-/**
- * Reads and transforms the XLSX data into a structured format for insertion.
- */
-async function parseFileAndGroupOrders(filePath) {
-    const workbook = new ExcelJS.Workbook();
-    await workbook.xlsx.readFile(filePath);
-    const worksheet = workbook.getWorksheet(1); 
-
-    const headerRow = worksheet.getRow(1);
-    const headers = headerRow ? headerRow.values.map(v => v ? v.toString().trim() : null) : [];
-
-    const ordersMap = new Map();
-
-    worksheet.eachRow((row, rowNumber) => {
-        if (rowNumber === 1 || row.hasValues === false) return; 
-
-        const rowData = {};
-        row.eachCell((cell, colNumber) => {
-            const headerKey = headers[colNumber];
-            if (headerKey && COLUMN_MAP[headerKey]) {
-                const dbKey = COLUMN_MAP[headerKey];
-                
-                let cellValue = cell.value;
-                if (cellValue && typeof cellValue === 'object' && cellValue.result !== undefined) {
-                    cellValue = cellValue.result;
-                }
-                rowData[dbKey] = cellValue;
-            }
-        });
-
-        const billNumber = rowData.bill_number;
-        if (!billNumber || !rowData.order_total_amount) {
-            console.warn(`Skipping row ${rowNumber}: Missing critical data (Bill Number or Total Amount).`);
-            return;
-        }
-
-        if (!ordersMap.has(billNumber)) {
-            ordersMap.set(billNumber, {
-                ...rowData, 
-                items: [], 
-            });
-        }
-        
-        ordersMap.get(billNumber).items.push({
-            // Use Product Id, fall back to Item #
-            product_id: rowData.product_id || rowData.item_hash, 
-            item_hash: rowData.item_hash,
-            item_name: rowData.item_name,
-            hsn_code: rowData.hsn_code,
-            gst_rate: rowData.gst_rate,
-            quantity: rowData.quantity,
-            unit_cost_at_sale: rowData.item_cost, 
-            order_line_tax: rowData.order_line_tax,
-        });
-    });
-
-    return Array.from(ordersMap.values());
-}
 // Function to normalize a phone number for consistent lookup and storage
 function normalizePhone(phoneNumber) {
     if (!phoneNumber) return '';
@@ -111,12 +25,27 @@ function normalizePhone(phoneNumber) {
     
     return cleaned;
 }
+
+// Customer fields whose change by an import is logged in the order change history (as "customer.<field>")
+const CUSTOMER_HISTORY_FIELDS = ['gst_number', 'state_name', 'address', 'pincode', 'all_phones', 'all_emails'];
+
+/* JSON columns may come back parsed or as strings; compare them as JSON text */
+function comparableCustomerValue(value) {
+    if (value === null || value === undefined || value === '') return null;
+    return typeof value === 'string' ? value.trim() : JSON.stringify(value);
+}
+
 // --- HELPER FUNCTION: Handle Customer Merging (Primary: Phone, Secondary: Email) ---
+// Returns { customer, matchedBy, customerChanges } where matchedBy is 'phone', 'email' or null for a
+// new profile, and customerChanges lists the CUSTOMER_HISTORY_FIELDS the merge changed
 async function findOrCreateCustomer(orderData, t) {
     const phone = normalizePhone(orderData.phone);
     const email = (orderData.email || '').toString().trim();
+    const gstNumber = normalizeGstin(orderData.gst_number);
     let customer = null;
+    let matchedBy = null;
     let customerUpdateFields = {};
+    const customerChanges = [];
 
     // 1. PRIMARY SEARCH: By Phone Number (Checking 'all_phones' JSON array)
     if (phone) {
@@ -125,6 +54,7 @@ async function findOrCreateCustomer(orderData, t) {
             where: sequelize.literal(`JSON_CONTAINS(all_phones, '"${phone}"')`),
             transaction: t,
         });
+        if (customer) matchedBy = 'phone';
     }
 
     // 2. SECONDARY SEARCH: By Email (Only if not found by phone and email is available)
@@ -133,6 +63,14 @@ async function findOrCreateCustomer(orderData, t) {
             where: { email: email },
             transaction: t,
         });
+        // An address merged into another profile (customerMergeService) only survives in its all_emails
+        if (!customer) {
+            customer = await Customer.findOne({
+                where: sequelize.where(sequelize.fn('JSON_CONTAINS', sequelize.col('all_emails'), JSON.stringify(email)), 1),
+                transaction: t,
+            });
+        }
+        if (customer) matchedBy = 'email';
     }
 
     // --- Customer Found: Merge Details ---
@@ -161,13 +99,27 @@ async function findOrCreateCustomer(orderData, t) {
             ...customerUpdateFields,
             party_name: orderData.party_name || customer.party_name,
             company_billing: orderData.company_billing || customer.company_billing,
-            gst_number: orderData.gst_number || customer.gst_number,
+            gst_number: gstNumber || customer.gst_number,
             address: orderData.address || customer.address,
             pincode: orderData.pincode || customer.pincode,
             state_name: orderData.state_name || customer.state_name,
             customer_user_id: orderData.customer_user_id || customer.customer_user_id,
             customer_username: orderData.customer_username || customer.customer_username,
         };
+
+        // Re-validate the GSTIN against the (possibly updated) billing state
+        const gstinIssue = customerUpdateFields.gst_number
+            ? findGstinIssue(customerUpdateFields.gst_number, customerUpdateFields.state_name)
+            : null;
+        customerUpdateFields.gstin_flagged = Boolean(gstinIssue);
+        customerUpdateFields.gstin_issue = gstinIssue;
+
+        CUSTOMER_HISTORY_FIELDS.forEach(field => {
+            if (customerUpdateFields[field] === undefined) return;
+            const oldValue = comparableCustomerValue(customer[field]);
+            const newValue = comparableCustomerValue(customerUpdateFields[field]);
+            if (oldValue !== newValue) customerChanges.push({ field: `customer.${field}`, old_value: oldValue, new_value: newValue });
+        });
         
         if (shouldUpdate || Object.keys(customerUpdateFields).length > 0) {
             await customer.update(customerUpdateFields, { transaction: t });
@@ -181,13 +133,17 @@ async function findOrCreateCustomer(orderData, t) {
             throw new Error(`Missing primary unique key (Email) for new customer creation from party: ${orderData.party_name}`);
         }
 
+        const gstinIssue = gstNumber ? findGstinIssue(gstNumber, orderData.state_name) : null;
+
         const newCustomerData = {
             customer_user_id: orderData.customer_user_id,
             customer_username: orderData.customer_username,
             email: email, // This is the primary unique key
             party_name: orderData.party_name || 'N/A',
             company_billing: orderData.company_billing || 'N/A',
-            gst_number: orderData.gst_number,
+            gst_number: gstNumber,
+            gstin_flagged: Boolean(gstinIssue),
+            gstin_issue: gstinIssue,
             address: orderData.address || 'N/A',
             pincode: orderData.pincode || 'N/A',
             country: orderData.country || 'N/A',
@@ -199,10 +155,11 @@ async function findOrCreateCustomer(orderData, t) {
         customer = await Customer.create(newCustomerData, { transaction: t });
     }
 
-    return customer;
+    return { customer, matchedBy, customerChanges };
 }
 
 // --- HELPER FUNCTION: Handle Product Master Lookup/Creation ---
+// Returns [product, created] like Sequelize's findOrCreate
 async function findOrCreateProduct(itemData, t) {
     const masterProductId = itemData.product_id;
     
@@ -223,109 +180,463 @@ async function findOrCreateProduct(itemData, t) {
             item_name: itemData.item_name || 'Unknown Product',
             hsn_code: itemData.hsn_code,
         }, { transaction: t });
+        return [product, true];
     }
     
-    return product;
+    return [product, false];
+}
+
+// Order columns written from a grouped order (also the fields compared in upsert mode, minus a blank order_date)
+function orderValues(orderData, customerId) {
+    return {
+        bill_number: orderData.bill_number,
+        order_number: orderData.order_number,
+        order_date: orderData.order_date ? new Date(orderData.order_date) : new Date(), 
+        cart_discount_amount: roundMoney(orderData.cart_discount_amount),
+        order_subtotal_amount: roundMoney(orderData.order_subtotal_amount),
+        order_total_tax_amount: roundMoney(orderData.order_total_tax_amount),
+        order_total_amount: roundMoney(orderData.order_total_amount),
+        payment_method: orderData.payment_method,
+        transaction_id: orderData.transaction_id,
+        customerId: customerId, 
+    };
+}
+
+function itemValues(itemData, productId) {
+    return {
+        item_hash: itemData.item_hash || itemData.product_id || 'N/A',
+        quantity: parseInt(itemData.quantity) || 0,
+        unit_cost_at_sale: roundMoney(itemData.unit_cost_at_sale),
+        gst_rate: parseFloat(itemData.gst_rate) || 0.00,
+        order_line_tax: roundMoney(itemData.order_line_tax),
+        productId: productId, // Link to the Master Product
+    };
+}
+
+const DECIMAL_ORDER_FIELDS = ['cart_discount_amount', 'order_subtotal_amount', 'order_total_tax_amount', 'order_total_amount'];
+
+/* Normalises a stored or incoming order value so DECIMAL strings, numbers and dates compare equal */
+function comparableValue(field, value) {
+    if (value === null || value === undefined || value === '') return null;
+    if (DECIMAL_ORDER_FIELDS.includes(field)) return formatMoney(value);
+    if (field === 'order_date') {
+        // DATEONLY is read back as "YYYY-MM-DD"; Sequelize writes Dates using the local calendar day
+        if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)) return value;
+        const date = new Date(value);
+        const pad = n => String(n).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    }
+    return value.toString().trim();
+}
+
+function comparableItem(item) {
+    return {
+        item_hash: item.item_hash,
+        productId: item.productId,
+        quantity: parseInt(item.quantity) || 0,
+        unit_cost_at_sale: formatMoney(item.unit_cost_at_sale),
+        gst_rate: (parseFloat(item.gst_rate) || 0).toFixed(2),
+        order_line_tax: formatMoney(item.order_line_tax),
+    };
+}
+
+// A product can span two lines that differ only in unit cost (see splitLineValue), so the cost is part of the key
+function sortedItemsJson(items) {
+    const sortKey = item => `${item.item_hash}|${item.productId}|${item.unit_cost_at_sale}`;
+    return JSON.stringify(items.map(comparableItem).sort((a, b) => sortKey(a).localeCompare(sortKey(b))));
 }
 
 /**
- * Main function to process the file and insert data transactionally.
- * @param {string} filePath - Path to the uploaded XLSX file.
- * @param {object} jobStatus - Global object reference to update progress.
- * @param {string} jobId - The ID of the current job.
- * @returns {object} Summary of import results.
+ * Upsert mode: updates the order columns that differ from the incoming values and replaces
+ * the line items when any of them changed.
+ * @returns {Array} Changes as [{ field, old_value, new_value }]; empty when nothing differs.
  */
-async function processOrderFile(filePath, jobStatus, jobId) {
-    const groupedOrders = await parseFileAndGroupOrders(filePath);
+async function applyOrderChanges(order, values, items, t) {
+    const changes = [];
+    const updates = {};
+    for (const [field, value] of Object.entries(values)) {
+        // The lookup key; MySQL's collation may have matched it case-insensitively
+        if (field === 'bill_number') continue;
+        const oldValue = comparableValue(field, order[field]);
+        const newValue = comparableValue(field, value);
+        if (oldValue !== newValue) {
+            changes.push({ field, old_value: oldValue, new_value: newValue });
+            updates[field] = value;
+        }
+    }
+    if (Object.keys(updates).length > 0) {
+        await order.update(updates, { transaction: t });
+    }
+
+    const storedItems = await OrderItem.findAll({ where: { orderId: order.id }, transaction: t });
+    const oldItemsJson = sortedItemsJson(storedItems);
+    const newItemsJson = sortedItemsJson(items);
+    if (oldItemsJson !== newItemsJson) {
+        await OrderItem.destroy({ where: { orderId: order.id }, transaction: t });
+        await OrderItem.bulkCreate(items.map(item => ({ ...item, orderId: order.id })), { transaction: t });
+        changes.push({ field: 'items', old_value: oldItemsJson, new_value: newItemsJson });
+    }
+
+    return changes;
+}
+
+/**
+ * Writes one grouped order (customer merge, duplicate check, order, items) inside transaction t.
+ * An existing bill is a DUPLICATE, or in upsert mode is compared and UPDATED/UNCHANGED
+ * (UNCHANGED only when neither the order, its items nor the customer data differ).
+ * @param {object} options - { upsert, importJobId } (importJobId is stored on new orders and on the change history)
+ * @returns {object} { status: INSERTED|DUPLICATE|UPDATED|UNCHANGED, customer, matchedBy, order?, newProducts, changes, warnings }
+ */
+async function insertOrder(orderData, t, options = {}) {
+    // 1. FIND or CREATE and MERGE CUSTOMER PROFILE
+    const { customer, matchedBy, customerChanges } = await findOrCreateCustomer(orderData, t);
+
+    // 2. ORDER INSERTION - Check for duplication
+    const existingOrder = await Order.findOne({ 
+        where: { bill_number: orderData.bill_number }, 
+        transaction: t 
+    });
+
+    if (existingOrder && !options.upsert) {
+        return { status: 'DUPLICATE', customer, matchedBy, newProducts: [], changes: [], warnings: [] };
+    }
+
+    // 3. Arithmetic checks: rules configured as errors reject the order, the rest become warnings
+    const arithmeticIssues = checkOrderArithmetic(orderData);
+    const arithmeticErrors = arithmeticIssues.filter(issue => issue.severity === 'ERROR');
+    if (arithmeticErrors.length > 0) {
+        throw new Error(arithmeticErrors.map(issue => `${issue.rule}: ${issue.message}`).join(' '));
+    }
+    const warnings = arithmeticIssues.map(issue => `${issue.rule}: ${issue.message}`);
+    // e.g. WooCommerce Analytics exports carry no address; GST returns then assume the seller's state
+    if (!customer.gst_number && isMissingState(customer.state_name)) {
+        warnings.push(`No billing state for customer "${customer.party_name}": the place of supply is taken as the seller's state until one is set on the customer.`);
+    }
+
+    // 4. Find or Create the Product Master of every line item
+    const items = [];
+    const newProducts = [];
+    // Lines whose HSN or rate disagree with the product master are still imported, with a warning
+    for (const itemData of orderData.items) {
+        const [product, created] = await findOrCreateProduct(itemData, t);
+        if (created) newProducts.push(product);
+        else warnings.push(...findProductMasterConflicts(itemData, product));
+        items.push(itemValues(itemData, product.id));
+    }
+
+    const values = orderValues(orderData, customer.id);
+
+    // 5a. UPSERT - Update the stored order and log what changed, including corrections to the customer
+    if (existingOrder) {
+        // A file without an invoice date must not overwrite the stored one with today's date
+        if (!orderData.order_date) delete values.order_date;
+        const changes = [...customerChanges, ...await applyOrderChanges(existingOrder, values, items, t)];
+        if (changes.length > 0) {
+            await OrderChange.bulkCreate(changes.map(change => ({
+                ...change,
+                orderId: existingOrder.id,
+                importJobId: options.importJobId || null,
+            })), { transaction: t });
+        }
+        const status = changes.length > 0 ? 'UPDATED' : 'UNCHANGED';
+        return { status, customer, matchedBy, order: existingOrder, newProducts, changes, warnings };
+    }
 
-    // Update total processed count for the job (for frontend progress bar)
-    jobStatus[jobId].summary.totalProcessed = groupedOrders.length; 
+    // 5b. INSERT - New order and its items
+    const newOrder = await Order.create({ ...values, importJobId: options.importJobId || null }, { transaction: t });
+    if (items.length > 0) {
+        await OrderItem.bulkCreate(items.map(item => ({ ...item, orderId: newOrder.id })), { transaction: t });
+    }
+
+    return { status: 'INSERTED', customer, matchedBy, order: newOrder, newProducts, changes: [], warnings };
+}
+
+/* Error-report entry for an order (or credit note) that was not inserted */
+function orderIssue(kind, orderData, reason) {
+    const sourceRows = orderData.source_rows || [];
+    return {
+        kind,
+        bill_number: orderData.bill_number ? orderData.bill_number.toString() : null,
+        row_numbers: sourceRows.map(row => row.rowNumber),
+        reason,
+        source_rows: sourceRows.length > 0 ? sourceRows.map(row => row.values) : null,
+    };
+}
 
-    let successfulInserts = 0;
-    let skippedDuplicates = 0;
-    let failedInserts = 0;
+/**
+ * Persists already grouped orders (from a file or the WooCommerce API), one transaction per order.
+ * Duplicate and failed orders are recorded against the job for its error report.
+ * @param {Array} groupedOrders - Orders in the structure produced by parseFileAndGroupOrders.
+ * @param {object} job - ImportJob record that receives progress updates.
+ * @param {object} [options] - { upsert }: update existing bills instead of skipping them.
+ * @returns {object} Summary of import results.
+ */
+async function importGroupedOrders(groupedOrders, job, options = {}) {
+    const summary = {
+        // Total processed count for the job (for frontend progress bar)
+        totalProcessed: groupedOrders.length,
+        successfulInserts: 0,
+        failedInserts: 0,
+        // Bills counted in failedInserts, in import order
+        failedBillNumbers: [],
+        skippedDuplicates: 0,
+        // Upsert mode only
+        updatedOrders: 0,
+        unchangedOrders: 0,
+        // Non-fatal problems (e.g. invalid GSTIN) on orders that were still imported
+        warnings: [],
+    };
 
     for (const orderData of groupedOrders) {
+        // Persist the counters so far (read by the status endpoint for progress)
+        await saveJobProgress(job, summary);
+
         // Use a transaction to ensure atomicity
         const t = await sequelize.transaction();
         
         try {
-            // 1. FIND or CREATE and MERGE CUSTOMER PROFILE
-            const customer = await findOrCreateCustomer(orderData, t);
-
-            // 2. ORDER INSERTION - Check for duplication
-            const existingOrder = await Order.findOne({ 
-                where: { bill_number: orderData.bill_number }, 
-                transaction: t 
-            });
+            const { status, customer, warnings } = await insertOrder(orderData, t, { upsert: options.upsert, importJobId: job.id });
 
-            if (existingOrder) {
+            if (status === 'DUPLICATE') {
                 // If exists, skip and roll back this transaction
                 await t.rollback();
-                skippedDuplicates++;
-                jobStatus[jobId].summary.skippedDuplicates = skippedDuplicates;
+                summary.skippedDuplicates++;
+                await recordJobIssues(job, [orderIssue('DUPLICATE', orderData, `Bill ${orderData.bill_number} has already been imported.`)]);
                 continue; 
             }
-
-            const orderToInsert = {
-                bill_number: orderData.bill_number,
-                order_number: orderData.order_number,
-                order_date: orderData.order_date ? new Date(orderData.order_date) : new Date(), 
-                cart_discount_amount: parseFloat(orderData.cart_discount_amount) || 0.00,
-                order_subtotal_amount: parseFloat(orderData.order_subtotal_amount) || 0.00,
-                order_total_tax_amount: parseFloat(orderData.order_total_tax_amount) || 0.00,
-                order_total_amount: parseFloat(orderData.order_total_amount) || 0.00,
-                payment_method: orderData.payment_method,
-                transaction_id: orderData.transaction_id,
-                customerId: customer.id, 
-            };
-            
-            const newOrder = await Order.create(orderToInsert, { transaction: t });
-
-            // 3. ORDER ITEMS INSERTION
-            
-            const itemsToInsert = [];
-            for (const itemData of orderData.items) {
-                // a. Find or Create Product Master
-                const product = await findOrCreateProduct(itemData, t);
-                
-                // b. Prepare OrderItem data
-                itemsToInsert.push({
-                    item_hash: itemData.item_hash || itemData.product_id || 'N/A',
-                    quantity: parseInt(itemData.quantity) || 0,
-                    unit_cost_at_sale: parseFloat(itemData.unit_cost_at_sale) || 0.00,
-                    gst_rate: parseFloat(itemData.gst_rate) || 0.00,
-                    order_line_tax: parseFloat(itemData.order_line_tax) || 0.00,
-                    orderId: newOrder.id, // Link to the new Order
-                    productId: product.id, // Link to the Master Product
-                });
-            }
-
-            if (itemsToInsert.length > 0) {
-                await OrderItem.bulkCreate(itemsToInsert, { transaction: t });
+            if (status === 'UNCHANGED') {
+                // Nothing differs, not even the customer data, so there is nothing to keep
+                await t.rollback();
+                summary.unchangedOrders++;
+                continue;
             }
 
             // Commit the transaction
             await t.commit();
-            successfulInserts++;
-            jobStatus[jobId].summary.successfulInserts = successfulInserts; 
+            if (status === 'UPDATED') summary.updatedOrders++;
+            else summary.successfulInserts++;
+
+            if (customer.gstin_flagged) {
+                summary.warnings.push({
+                    bill_number: orderData.bill_number,
+                    message: customer.gstin_issue,
+                });
+            }
+            warnings.forEach(message => summary.warnings.push({ bill_number: orderData.bill_number, message }));
 
         } catch (error) {
             // If any step failed, roll back the transaction
             await t.rollback();
-            failedInserts++;
-            jobStatus[jobId].summary.failedInserts = failedInserts; 
+            summary.failedInserts++;
+            summary.failedBillNumbers.push(orderData.bill_number);
             console.error(`Failed to import order ${orderData.bill_number}:`, error.message);
+            await recordJobIssues(job, [orderIssue('FAILED', orderData, error.message)]);
         }
     }
 
-    // 4. Clean up the uploaded file
-    fs.unlink(filePath, (err) => {
-        if (err) console.error('Error deleting file:', err);
+    // Return final summary
+    return summary;
+}
+
+/* Preview lists use plain objects rather than model instances */
+function customerPreview(customer) {
+    return {
+        party_name: customer.party_name,
+        company_billing: customer.company_billing,
+        email: customer.email,
+        gst_number: customer.gst_number,
+        state_name: customer.state_name,
+        bill_numbers: [],
+    };
+}
+
+/**
+ * Dry run of processOrderFile: parses the file and runs customer matching, product lookup and
+ * duplicate detection inside one transaction that is always rolled back. Each order runs in a
+ * savepoint so a failing order does not affect the ones after it, as in a real import.
+ * @param {string} filePath - Path to the uploaded XLSX or CSV file (deleted afterwards, even when it cannot be parsed).
+ * @param {object} [options] - { upsert }: preview the field changes to existing bills.
+ * @returns {object} What the import would do, without changing the database.
+ */
+async function previewOrderFile(filePath, options = {}) {
+    try {
+        const { orders, skippedRows } = await parseFileAndGroupOrders(filePath);
+        return await previewGroupedOrders(orders, skippedRows, options);
+    } finally {
+        // Nothing from a dry run is ever kept, the upload included
+        fs.unlink(filePath, (err) => {
+            if (err) console.error('Error deleting file:', err);
+        });
+    }
+}
+
+/* The database part of previewOrderFile, run on the parsed orders */
+async function previewGroupedOrders(orders, skippedRows, options) {
+    const preview = {
+        dryRun: true,
+        summary: {
+            totalOrders: orders.length,
+            newOrders: 0,
+            duplicates: 0,
+            updatedOrders: 0,
+            unchangedOrders: 0,
+            failedOrders: 0,
+            skippedRows: skippedRows.length,
+            newCustomers: 0,
+            matchedCustomers: 0,
+            newProducts: 0,
+        },
+        newCustomers: [],
+        matchedCustomers: [],
+        newProducts: [],
+        duplicates: [],
+        updates: [],
+        // Per order: rows rejected by the parser (SKIPPED) and orders the import would roll back (FAILED)
+        errors: skippedRows.map(skipped => ({
+            kind: 'SKIPPED',
+            bill_number: skipped.bill_number,
+            row_numbers: skipped.row_numbers,
+            reason: skipped.reason,
+        })),
+        warnings: [],
+    };
+
+    // Customer id (inside the rolled-back transaction) -> preview entry
+    const newCustomers = new Map();
+    const matchedCustomers = new Map();
+
+    const t = await sequelize.transaction();
+    try {
+        for (const orderData of orders) {
+            const rowNumbers = (orderData.source_rows || []).map(row => row.rowNumber);
+            const savepoint = await sequelize.transaction({ transaction: t });
+
+            try {
+                const { status, customer, matchedBy, newProducts, changes, warnings } = await insertOrder(orderData, savepoint, { upsert: options.upsert });
+
+                if (status === 'DUPLICATE') {
+                    await savepoint.rollback();
+                    preview.duplicates.push({ bill_number: orderData.bill_number, row_numbers: rowNumbers });
+                    continue;
+                }
+                if (status === 'UNCHANGED') {
+                    await savepoint.rollback();
+                    preview.summary.unchangedOrders++;
+                    continue;
+                }
+                await savepoint.commit();
+                if (status === 'UPDATED') {
+                    preview.summary.updatedOrders++;
+                    preview.updates.push({ bill_number: orderData.bill_number, row_numbers: rowNumbers, changes });
+                } else {
+                    preview.summary.newOrders++;
+                }
+
+                // A customer created earlier in this file is still new, even if later orders match it
+                if (!matchedBy) {
+                    newCustomers.set(customer.id, customerPreview(customer));
+                }
+                let entry = newCustomers.get(customer.id) || matchedCustomers.get(customer.id);
+                if (!entry) {
+                    entry = { customer_id: customer.id, matched_by: matchedBy, ...customerPreview(customer) };
+                    matchedCustomers.set(customer.id, entry);
+                }
+                entry.bill_numbers.push(orderData.bill_number);
+
+                newProducts.forEach(product => preview.newProducts.push({
+                    product_id: product.product_id,
+                    item_name: product.item_name,
+                    hsn_code: product.hsn_code,
+                    first_bill_number: orderData.bill_number,
+                }));
+
+                if (customer.gstin_flagged) {
+                    preview.warnings.push({ bill_number: orderData.bill_number, message: customer.gstin_issue });
+                }
+                warnings.forEach(message => preview.warnings.push({ bill_number: orderData.bill_number, message }));
+
+            } catch (error) {
+                await savepoint.rollback();
+                preview.errors.push({
+                    kind: 'FAILED',
+                    bill_number: orderData.bill_number,
+                    row_numbers: rowNumbers,
+                    reason: error.message,
+                });
+            }
+        }
+    } finally {
+        // Nothing from a dry run is ever kept
+        await t.rollback();
+    }
+
+    preview.newCustomers = Array.from(newCustomers.values());
+    preview.matchedCustomers = Array.from(matchedCustomers.values());
+    Object.assign(preview.summary, {
+        duplicates: preview.duplicates.length,
+        failedOrders: preview.errors.filter(error => error.kind === 'FAILED').length,
+        newCustomers: preview.newCustomers.length,
+        matchedCustomers: preview.matchedCustomers.length,
+        newProducts: preview.newProducts.length,
     });
 
-    // Return final summary
-    return jobStatus[jobId].summary;
+    return preview;
+}
+
+/**
+ * Change history written by upsert imports, newest first.
+ * @param {object} filters - { billNumber?, jobId? }
+ */
+async function listOrderChanges({ billNumber, jobId } = {}) {
+    const where = {};
+    if (jobId) where.importJobId = jobId;
+
+    const changes = await OrderChange.findAll({
+        where,
+        include: [{
+            model: Order,
+            attributes: ['bill_number'],
+            where: billNumber ? { bill_number: billNumber } : undefined,
+        }],
+        order: [['id', 'DESC']],
+    });
+
+    return changes.map(change => ({
+        bill_number: change.Order.bill_number,
+        field: change.field,
+        old_value: change.old_value,
+        new_value: change.new_value,
+        import_job_id: change.importJobId,
+        changed_at: change.createdAt,
+    }));
+}
+
+/**
+ * Main function to process the file and insert data transactionally.
+ * Rows rejected by the parser are recorded as SKIPPED issues before the import starts.
+ * @param {string} filePath - Path to the uploaded XLSX or CSV file (deleted afterwards, even when the import fails).
+ * @param {object} job - ImportJob record that receives progress updates.
+ * @param {object} [options] - { upsert }: update existing bills instead of skipping them.
+ * @returns {object} Summary of import results.
+ */
+async function processOrderFile(filePath, job, options = {}) {
+    try {
+        const { headers, orders, skippedRows } = await parseFileAndGroupOrders(filePath);
+
+        await job.update({ source_headers: headers });
+        await recordJobIssues(job, skippedRows.map(skipped => ({
+            ...skipped,
+            kind: 'SKIPPED',
+            source_rows: skipped.source_rows.map(row => row.values),
+        })));
+
+        return await importGroupedOrders(orders, job, options);
+    } finally {
+        // Clean up the uploaded file, also when it could not be parsed or the import failed
+        fs.unlink(filePath, (err) => {
+            if (err) console.error('Error deleting file:', err);
+        });
+    }
 }
 
-module.exports = { processOrderFile };
\ No newline at end of file
+module.exports = { processOrderFile, previewOrderFile, importGroupedOrders, listOrderChanges, orderIssue };
\ No newline at end of file
@@ -0,0 +1,210 @@
+const { QueryTypes } = require('sequelize');
+const { sequelize } = require('../config/db');
+
+// "GNX/2025-26/1138" -> prefix "GNX/2025-26/", number 1138
+const BILL_NUMBER_REGEX = /^(.*?)(\d+)$/;
+// The last "2025-26" (or "2025-2026") in a prefix is taken as the financial year of the series
+const FINANCIAL_YEAR_REGEX = /(\d{4})-(\d{2}|\d{4})(?!\d)(?!.*\d{4}-\d{2})/;
+
+/* "2025-05-14" -> "2025-26" (April to March) */
+function financialYearOf(isoDate) {
+    const [year, month] = isoDate.split('-').map(Number);
+    const start = month >= 4 ? year : year - 1;
+    return `${start}-${String((start + 1) % 100).padStart(2, '0')}`;
+}
+
+function parseBillNumber(billNumber) {
+    const match = BILL_NUMBER_REGEX.exec((billNumber || '').toString().trim());
+    if (!match) return null;
+    return { prefix: match[1], digits: match[2], number: parseInt(match[2], 10) };
+}
+
+/* Rebuilds a bill number in the series, keeping the zero padding of its first bill */
+function formatBillNumber(prefix, number, width) {
+    return `${prefix}${String(number).padStart(width, '0')}`;
+}
+
+/* Consecutive missing numbers collapsed into ranges, so one stray high number cannot produce a huge list */
+function findMissingRanges(numbers, prefix, width) {
+    const ranges = [];
+    for (let i = 1; i < numbers.length; i++) {
+        const gapStart = numbers[i - 1] + 1;
+        const gapEnd = numbers[i] - 1;
+        if (gapEnd >= gapStart) {
+            ranges.push({
+                from: formatBillNumber(prefix, gapStart, width),
+                to: formatBillNumber(prefix, gapEnd, width),
+                count: gapEnd - gapStart + 1,
+            });
+        }
+    }
+    return ranges;
+}
+
+/*
+ * Bills numbered after another bill but dated before it. Compared against the latest
+ * date seen so far, so one back-dated bill is reported once, not for every later number.
+ */
+function findOutOfOrder(bills) {
+    const outOfOrder = [];
+    let latest = null;
+    bills.forEach(bill => {
+        if (latest && bill.order_date < latest.order_date) {
+            outOfOrder.push({
+                bill_number: bill.bill_number,
+                order_date: bill.order_date,
+                after_bill_number: latest.bill_number,
+                after_order_date: latest.order_date,
+            });
+        } else if (!latest || bill.order_date > latest.order_date) {
+            latest = bill;
+        }
+    });
+    return outOfOrder;
+}
+
+/**
+ * Groups bills into series (prefix + financial year) and checks each for gaps,
+ * duplicated numbers (e.g. "GNX/2025-26/0042" and "GNX/2025-26/42") and numbers
+ * dated out of sequence. A gap is only a finding: the missing numbers may be cancelled
+ * documents or bills that were never imported, and someone has to confirm which.
+ * @param {Array<object>} rows - [{ bill_number, order_date (YYYY-MM-DD) }]
+ * @returns {object} { series: [...], unparsed: [bill_number] }
+ */
+function analyzeInvoiceSeries(rows) {
+    const groups = new Map();
+    const unparsed = [];
+
+    rows.forEach(row => {
+        const parsed = parseBillNumber(row.bill_number);
+        if (!parsed) {
+            unparsed.push(row.bill_number);
+            return;
+        }
+        const fyMatch = FINANCIAL_YEAR_REGEX.exec(parsed.prefix);
+        // Always "YYYY-YY", so "2025-2026" and "2025-26" name the same year
+        const financialYear = fyMatch ? `${fyMatch[1]}-${fyMatch[2].slice(-2)}` : financialYearOf(row.order_date);
+        const key = `${parsed.prefix}|${financialYear}`;
+        if (!groups.has(key)) groups.set(key, { prefix: parsed.prefix, financialYear, bills: [] });
+        groups.get(key).bills.push({ ...row, ...parsed });
+    });
+
+    const series = Array.from(groups.values()).map(({ prefix, financialYear, bills }) => {
+        bills.sort((a, b) => a.number - b.number || a.order_date.localeCompare(b.order_date));
+
+        const byNumber = new Map();
+        bills.forEach(bill => {
+            if (!byNumber.has(bill.number)) byNumber.set(bill.number, []);
+            byNumber.get(bill.number).push(bill.bill_number);
+        });
+        const numbers = Array.from(byNumber.keys());
+        const first = bills[0];
+        const last = bills[bills.length - 1];
+        const total = last.number - first.number + 1;
+
+        return {
+            series: prefix,
+            financial_year: financialYear,
+            from: first.bill_number,
+            to: last.bill_number,
+            total,
+            issued: numbers.length,
+            gaps: total - numbers.length,
+            missing: findMissingRanges(numbers, prefix, first.digits.length),
+            duplicates: Array.from(byNumber.entries())
+                .filter(([, billNumbers]) => billNumbers.length > 1)
+                .map(([number, billNumbers]) => ({ number, bill_numbers: billNumbers })),
+            out_of_order: findOutOfOrder(bills),
+        };
+    });
+
+    series.sort((a, b) => a.financial_year.localeCompare(b.financial_year) || a.series.localeCompare(b.series));
+    return { series, unparsed };
+}
+
+/**
+ * Series for GSTR-1 Table 13. Numbers missing from a series are only counted as cancelled once
+ * that has been confirmed (gapsCancelled); until then a series reports the bills it has.
+ * Bills without a serial number are still documents issued, so they are reported together as
+ * one more series (in date order, none counted as cancelled).
+ * @param {Array<object>} rows - [{ bill_number, order_date }] ordered by date, as from fetchBillNumbers.
+ * @param {object} [options] - { gapsCancelled }: the gaps have been confirmed as cancelled documents.
+ * @returns {Array<object>} [{ series, from, to, total, cancelled, gaps, missing, ... }]
+ */
+function documentIssueSeries(rows, { gapsCancelled = false } = {}) {
+    const { series, unparsed } = analyzeInvoiceSeries(rows);
+    const docSeries = series.map(s => ({
+        ...s,
+        total: gapsCancelled ? s.total : s.issued,
+        cancelled: gapsCancelled ? s.gaps : 0,
+    }));
+    if (unparsed.length === 0) return docSeries;
+    return [...docSeries, {
+        series: null,
+        financial_year: null,
+        from: unparsed[0],
+        to: unparsed[unparsed.length - 1],
+        total: unparsed.length,
+        issued: unparsed.length,
+        gaps: 0,
+        missing: [],
+        cancelled: 0,
+    }];
+}
+
+/**
+ * The gaps of the Table 13 series that have not been confirmed as cancelled, one per missing range.
+ * @returns {Array<object>} [{ series, financial_year, from, to, count, issue }]
+ */
+function unconfirmedSeriesGaps(docSeries) {
+    return docSeries
+        .filter(s => s.gaps > 0 && s.cancelled === 0)
+        .flatMap(s => s.missing.map(range => ({
+            series: s.series,
+            financial_year: s.financial_year,
+            from: range.from,
+            to: range.to,
+            count: range.count,
+            issue: `${range.count} bill number(s) missing from the series. Confirm whether they were cancelled `
+                + '(then export again with gapsCancelled to report them in Table 13) or have not been imported.',
+        })));
+}
+
+async function fetchBillNumbers(startDate, endDate) {
+    const conditions = [];
+    if (startDate) conditions.push('order_date >= :startDate');
+    if (endDate) conditions.push('order_date <= :endDate');
+
+    return sequelize.query(`
+        SELECT bill_number, DATE_FORMAT(order_date, '%Y-%m-%d') AS order_date
+        FROM orders
+        ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+        ORDER BY order_date ASC, id ASC;
+    `, { replacements: { startDate, endDate }, type: QueryTypes.SELECT });
+}
+
+/**
+ * Audits the invoice series of the bills dated in a range (or all bills).
+ * @param {object} options - { startDate?, endDate? } (YYYY-MM-DD)
+ * @returns {object} { startDate, endDate, summary, series, unparsed }
+ */
+async function auditInvoiceSeries({ startDate, endDate } = {}) {
+    const rows = await fetchBillNumbers(startDate, endDate);
+    const { series, unparsed } = analyzeInvoiceSeries(rows);
+    return {
+        startDate: startDate || null,
+        endDate: endDate || null,
+        summary: {
+            series: series.length,
+            bills: rows.length,
+            missingNumbers: series.reduce((sum, s) => sum + s.gaps, 0),
+            duplicatedNumbers: series.reduce((sum, s) => sum + s.duplicates.length, 0),
+            outOfOrder: series.reduce((sum, s) => sum + s.out_of_order.length, 0),
+            unparsed: unparsed.length,
+        },
+        series,
+        unparsed,
+    };
+}
+
+module.exports = { analyzeInvoiceSeries, documentIssueSeries, unconfirmedSeriesGaps, fetchBillNumbers, auditInvoiceSeries };
@@ -0,0 +1,381 @@
+const ExcelJS = require('exceljs');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { parse } = require('csv-parse/sync');
+const { GST_RATES } = require('../config/gst');
+const { roundMoney, addMoney, allocateMoney, splitLineValue } = require('../config/money');
+
+// Map Excel Column Headers to Database/Model Keys
+const COLUMN_MAP = {
+    'Bill Number': 'bill_number',
+    'Order Number': 'order_number',
+    'Order Date': 'order_date',
+    'Customer User ID': 'customer_user_id',
+    'Customer Username': 'customer_username',
+    'Party Name': 'party_name',
+    'Company (Billing)': 'company_billing',
+    'GST Number': 'gst_number',
+    'State Name': 'state_name',
+    'Address': 'address',
+    'Pincode': 'pincode',
+    'Country': 'country',
+    'Email': 'email',
+    'Phone': 'phone',
+    'Item #': 'item_hash',
+    'Product Id': 'product_id',
+    'Item Name': 'item_name',
+    'HSN Code': 'hsn_code',
+    'GST Rate': 'gst_rate',
+    'Quantity': 'quantity',
+    'Item Cost': 'item_cost',
+    'Order Line Tax': 'order_line_tax',
+    'Cart Discount Amount': 'cart_discount_amount',
+    'Order Subtotal Amount': 'order_subtotal_amount',
+    'Order Total Tax Amount': 'order_total_tax_amount',
+    'Order Total Amount': 'order_total_amount',
+    'Payment Method': 'payment_method',
+    'Transaction ID': 'transaction_id',
+};
+
+// Map WooCommerce Analytics "Orders" export headers to Database/Model Keys
+const WC_ANALYTICS_COLUMN_MAP = {
+    'Date': 'order_date',
+    'Order #': 'order_number',
+    'N. Revenue (formatted)': 'revenue',
+    'Status': 'status',
+    'Customer': 'party_name',
+    'Product(s)': 'products',
+    'Items sold': 'items_sold',
+    'Net Sales': 'net_sales',
+    'Invoice Number': 'bill_number',
+};
+
+// Analytics rows in these states never became a sale
+const WC_SKIPPED_STATUSES = ['cancelled', 'failed', 'pending', 'refunded'];
+
+const SUPPORTED_EXTENSIONS = ['.xlsx', '.csv'];
+
+/**
+ * Checks the uploaded file name against the formats the importer can read.
+ */
+function isSupportedOrderFile(fileName) {
+    return SUPPORTED_EXTENSIONS.includes(path.extname(fileName || '').toLowerCase());
+}
+
+/**
+ * Detects the file type from its content: XLSX files are ZIP archives ("PK\x03\x04"),
+ * anything else is treated as CSV text.
+ */
+function detectFileType(filePath) {
+    const fd = fs.openSync(filePath, 'r');
+    const signature = Buffer.alloc(4);
+    try {
+        fs.readSync(fd, signature, 0, 4, 0);
+    } finally {
+        fs.closeSync(fd);
+    }
+    return signature.equals(Buffer.from([0x50, 0x4b, 0x03, 0x04])) ? 'xlsx' : 'csv';
+}
+
+/**
+ * Reads the first worksheet of an XLSX file into header-keyed row objects.
+ * @returns {object} { headers: string[], rows: [{ rowNumber, values }] }
+ */
+async function readXlsxRows(filePath) {
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.readFile(filePath);
+    return readWorksheetRows(workbook.getWorksheet(1));
+}
+
+/* Header-keyed rows of one worksheet (header = row 1) */
+function readWorksheetRows(worksheet) {
+    const headerRow = worksheet.getRow(1);
+    const headers = headerRow ? headerRow.values.map(v => v ? v.toString().trim() : null) : [];
+
+    const rows = [];
+    worksheet.eachRow((row, rowNumber) => {
+        if (rowNumber === 1 || row.hasValues === false) return;
+
+        const values = {};
+        row.eachCell((cell, colNumber) => {
+            const headerKey = headers[colNumber];
+            if (!headerKey) return;
+
+            let cellValue = cell.value;
+            if (cellValue && typeof cellValue === 'object' && cellValue.result !== undefined) {
+                cellValue = cellValue.result;
+            }
+            values[headerKey] = cellValue;
+        });
+        rows.push({ rowNumber, values });
+    });
+
+    return { headers: headers.filter(Boolean), rows };
+}
+
+/**
+ * Reads a CSV file into header-keyed row objects. Row numbers match the
+ * spreadsheet view of the file (header = row 1).
+ * @returns {object} { headers: string[], rows: [{ rowNumber, values }] }
+ */
+function readCsvRows(filePath) {
+    const records = parse(fs.readFileSync(filePath), {
+        bom: true,
+        skip_empty_lines: true,
+        relax_column_count: true,
+        trim: true,
+    });
+    if (records.length === 0) return { headers: [], rows: [] };
+
+    const headers = records[0].map(h => (h || '').toString().trim());
+    const rows = records.slice(1).map((record, index) => {
+        const values = {};
+        headers.forEach((header, colIndex) => {
+            if (header && record[colIndex] !== undefined && record[colIndex] !== '') {
+                values[header] = record[colIndex];
+            }
+        });
+        return { rowNumber: index + 2, values };
+    });
+
+    return { headers, rows };
+}
+
+/* Keeps only the mapped columns and renames them to model keys */
+function mapRow(values, columnMap) {
+    const rowData = {};
+    for (const [header, value] of Object.entries(values)) {
+        if (columnMap[header]) rowData[columnMap[header]] = value;
+    }
+    return rowData;
+}
+
+/**
+ * Parses a WooCommerce amount such as "₹1,156.00". Refunded orders show the
+ * original and the adjusted amount ("₹255.00 ₹0.00"); the last one is effective.
+ */
+function parseWcAmount(value) {
+    if (value === undefined || value === null || value === '') return 0;
+    if (typeof value === 'number') return roundMoney(value);
+    const amounts = value.toString().match(/-?[\d,]*\.?\d+/g);
+    if (!amounts) return 0;
+    return roundMoney(amounts[amounts.length - 1]);
+}
+
+/**
+ * Splits the "Product(s)" column, e.g.
+ * "1× Renewal, 1 User, 1 Year, Quick Heal Total Security, 2× 1 User, 1 Year, K7 Total Security"
+ * into [{ quantity, name }]. Product names contain commas, so items are split on "N× " only.
+ */
+function parseWcProducts(value) {
+    return (value || '').toString()
+        .split(/,\s*(?=\d+×\s*)/)
+        .map(part => part.trim().match(/^(\d+)×\s*(.+)$/))
+        .filter(Boolean)
+        .map(match => ({ quantity: parseInt(match[1], 10), name: match[2].trim() }));
+}
+
+/* Analytics exports have no tax column; snap Revenue / Net Sales to the nearest GST rate */
+function deriveGstRate(netSales, tax) {
+    if (!netSales) return 0;
+    const rawRate = (tax / netSales) * 100;
+    return GST_RATES.reduce((best, rate) => Math.abs(rate - rawRate) < Math.abs(best - rawRate) ? rate : best, 0);
+}
+
+/* Product names can exceed the 50-character product_id column, so use a stable hash */
+function wcProductId(name) {
+    return `WC-${crypto.createHash('sha1').update(name.toLowerCase()).digest('hex').substring(0, 12)}`;
+}
+
+/*
+ * The Analytics export has no e-mail, which Customer requires; use a reserved .invalid address.
+ * It is keyed on the order, not the name, so different buyers who share a name (or have none)
+ * are never folded into one customer.
+ */
+function wcPlaceholderEmail(orderNumber) {
+    return `order-${orderNumber.toString().trim().toLowerCase().replace(/[^a-z0-9]+/g, '-')}@wc-analytics.invalid`;
+}
+
+/* A row the parser could not turn into an order, kept for the job's error report */
+function skippedRow(row, billNumber, reason) {
+    return {
+        bill_number: billNumber ? billNumber.toString() : null,
+        row_numbers: [row.rowNumber],
+        reason,
+        source_rows: [row],
+    };
+}
+
+/**
+ * Groups standard-layout rows (one row per invoice line) by Bill Number.
+ * @returns {object} { orders, skippedRows }
+ */
+function groupStandardRows(rows) {
+    const ordersMap = new Map();
+    const skippedRows = [];
+
+    rows.forEach((row) => {
+        const rowData = mapRow(row.values, COLUMN_MAP);
+
+        const billNumber = rowData.bill_number;
+        if (!billNumber || !rowData.order_total_amount) {
+            skippedRows.push(skippedRow(row, billNumber, 'Missing critical data (Bill Number or Total Amount).'));
+            return;
+        }
+
+        if (!ordersMap.has(billNumber)) {
+            ordersMap.set(billNumber, {
+                ...rowData,
+                items: [],
+                source_rows: [],
+            });
+        }
+
+        const order = ordersMap.get(billNumber);
+        order.source_rows.push(row);
+        order.items.push({
+            // Use Product Id, fall back to Item #
+            product_id: rowData.product_id || rowData.item_hash,
+            item_hash: rowData.item_hash,
+            item_name: rowData.item_name,
+            hsn_code: rowData.hsn_code,
+            gst_rate: rowData.gst_rate,
+            quantity: rowData.quantity,
+            unit_cost_at_sale: rowData.item_cost,
+            order_line_tax: rowData.order_line_tax,
+        });
+    });
+
+    return { orders: Array.from(ordersMap.values()), skippedRows };
+}
+
+/**
+ * Converts WooCommerce Analytics rows (one row per order, items packed into
+ * "Product(s)") into the grouped-order structure. The export carries only order
+ * totals, so Net Sales and tax are apportioned to items by quantity.
+ */
+function groupWcAnalyticsRows(rows) {
+    const ordersMap = new Map();
+    const skippedRows = [];
+
+    rows.forEach((row) => {
+        const rowData = mapRow(row.values, WC_ANALYTICS_COLUMN_MAP);
+
+        const billNumber = rowData.bill_number;
+        const status = (rowData.status || '').toString().toLowerCase();
+        if (!billNumber) {
+            skippedRows.push(skippedRow(row, null, `Missing Invoice Number (order ${rowData.order_number || 'N/A'}).`));
+            return;
+        }
+        if (WC_SKIPPED_STATUSES.includes(status)) {
+            skippedRows.push(skippedRow(row, billNumber, `Order ${rowData.order_number} has status "${status}".`));
+            return;
+        }
+
+        const items = parseWcProducts(rowData.products);
+        if (items.length === 0) {
+            skippedRows.push(skippedRow(row, billNumber, `Could not read any product from "${rowData.products}".`));
+            return;
+        }
+        if (ordersMap.has(billNumber)) {
+            skippedRows.push(skippedRow(row, billNumber, `Invoice Number ${billNumber} appears more than once.`));
+            return;
+        }
+
+        const total = parseWcAmount(rowData.revenue);
+        const netSales = parseWcAmount(rowData.net_sales);
+        const tax = addMoney(total, -netSales);
+        const gstRate = deriveGstRate(netSales, tax);
+        // Net sales and tax are shared out by quantity; the shares add up to the order amounts
+        const quantities = items.map(item => item.quantity);
+        const lineValues = allocateMoney(netSales, quantities);
+        const lineTaxes = allocateMoney(tax, quantities);
+
+        ordersMap.set(billNumber, {
+            bill_number: billNumber.toString(),
+            order_number: rowData.order_number,
+            order_date: rowData.order_date,
+            party_name: rowData.party_name,
+            company_billing: rowData.party_name,
+            email: wcPlaceholderEmail(rowData.order_number || billNumber),
+            cart_discount_amount: 0,
+            order_subtotal_amount: netSales,
+            order_total_tax_amount: tax,
+            order_total_amount: total,
+            // A share that does not divide by its quantity becomes two lines a paisa apart in unit
+            // cost, so the stored lines (unit cost × quantity) still add up to Net Sales
+            items: items.flatMap((item, index) => {
+                const productId = wcProductId(item.name);
+                const parts = splitLineValue(lineValues[index], item.quantity);
+                const partTaxes = allocateMoney(lineTaxes[index], parts.map(part => part.quantity));
+                return parts.map((part, partIndex) => ({
+                    product_id: productId,
+                    item_hash: productId,
+                    item_name: item.name,
+                    hsn_code: null,
+                    gst_rate: gstRate,
+                    quantity: part.quantity,
+                    unit_cost_at_sale: part.unitCost,
+                    order_line_tax: partTaxes[partIndex],
+                }));
+            }),
+            source_rows: [row],
+        });
+    });
+
+    return { orders: Array.from(ordersMap.values()), skippedRows };
+}
+
+/**
+ * Reads an XLSX or CSV file into header-keyed rows, whatever its layout.
+ * @returns {object} { headers: string[], rows: [{ rowNumber, values }] }
+ */
+async function readOrderFileRows(filePath) {
+    return detectFileType(filePath) === 'xlsx' ? readXlsxRows(filePath) : readCsvRows(filePath);
+}
+
+/**
+ * Reads every worksheet of an XLSX file (a CSV counts as one sheet) into header-keyed rows.
+ * @returns {Array<object>} [{ name, headers, rows }]
+ */
+async function readSpreadsheetSheets(filePath) {
+    if (detectFileType(filePath) !== 'xlsx') {
+        return [{ name: path.basename(filePath), ...readCsvRows(filePath) }];
+    }
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.readFile(filePath);
+    return workbook.worksheets.map(worksheet => ({ name: worksheet.name, ...readWorksheetRows(worksheet) }));
+}
+
+/* The WooCommerce Analytics export is recognised by its Invoice Number and Order # columns */
+function isWcAnalyticsLayout(headers) {
+    return headers.includes('Invoice Number') && headers.includes('Order #');
+}
+
+/**
+ * Reads an XLSX or CSV order file and transforms it into a structured format for insertion.
+ * Both the standard invoice-line layout (COLUMN_MAP) and the WooCommerce Analytics
+ * orders export are recognised from the header row.
+ * Every order keeps the file rows it came from (source_rows) for the job's error report.
+ * @returns {object} { headers, orders, skippedRows }
+ */
+async function parseFileAndGroupOrders(filePath) {
+    const { headers, rows } = await readOrderFileRows(filePath);
+
+    const { orders, skippedRows } = isWcAnalyticsLayout(headers) ? groupWcAnalyticsRows(rows) : groupStandardRows(rows);
+    return { headers, orders, skippedRows };
+}
+
+module.exports = {
+    parseFileAndGroupOrders,
+    readOrderFileRows,
+    readSpreadsheetSheets,
+    isWcAnalyticsLayout,
+    isSupportedOrderFile,
+    mapRow,
+    parseWcAmount,
+    COLUMN_MAP,
+    WC_ANALYTICS_COLUMN_MAP,
+    WC_SKIPPED_STATUSES,
+};
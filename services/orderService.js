@@ -0,0 +1,171 @@
+const { QueryTypes } = require('sequelize');
+const { sequelize } = require('../config/db');
+const { roundMoney, lineValue } = require('../config/money');
+
+/* WHERE clause shared by the page query and the count query */
+function buildOrderFilter(filters) {
+    const conditions = [];
+    const replacements = {};
+
+    if (filters.startDate) {
+        conditions.push('O.order_date >= :startDate');
+        replacements.startDate = filters.startDate;
+    }
+    if (filters.endDate) {
+        conditions.push('O.order_date <= :endDate');
+        replacements.endDate = filters.endDate;
+    }
+    if (filters.billNumber) {
+        conditions.push('O.bill_number LIKE :billNumber');
+        replacements.billNumber = `%${filters.billNumber}%`;
+    }
+    if (filters.orderNumber) {
+        conditions.push('O.order_number LIKE :orderNumber');
+        replacements.orderNumber = `%${filters.orderNumber}%`;
+    }
+    if (filters.customerId) {
+        conditions.push('O.customer_id = :customerId');
+        replacements.customerId = parseInt(filters.customerId, 10) || 0;
+    }
+    if (filters.hasGstin === 'true') {
+        conditions.push("C.gst_number IS NOT NULL AND C.gst_number != ''");
+    } else if (filters.hasGstin === 'false') {
+        conditions.push("(C.gst_number IS NULL OR C.gst_number = '')");
+    }
+    if (filters.paymentMethod) {
+        conditions.push('O.payment_method = :paymentMethod');
+        replacements.paymentMethod = filters.paymentMethod;
+    }
+    if (filters.productId) {
+        // External product id (products.product_id), as shown in the product master
+        conditions.push(`EXISTS (
+            SELECT 1 FROM order_items I INNER JOIN products P ON I.product_id = P.id
+            WHERE I.order_id = O.id AND P.product_id = :productId
+        )`);
+        replacements.productId = filters.productId;
+    }
+    if (filters.minAmount !== undefined && filters.minAmount !== '') {
+        conditions.push('O.order_total_amount >= :minAmount');
+        replacements.minAmount = parseFloat(filters.minAmount) || 0;
+    }
+    if (filters.maxAmount !== undefined && filters.maxAmount !== '') {
+        conditions.push('O.order_total_amount <= :maxAmount');
+        replacements.maxAmount = parseFloat(filters.maxAmount) || 0;
+    }
+
+    return { where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '', replacements };
+}
+
+/**
+ * Lists orders, newest first, with the buyer's name and GSTIN.
+ * @param {object} filters - { startDate?, endDate?, billNumber?, orderNumber?, customerId?, hasGstin? ('true'|'false'),
+ *                             paymentMethod?, productId?, minAmount?, maxAmount?, page = 1, pageSize = 20 }
+ */
+async function listOrders(filters = {}) {
+    const limit = Math.min(Math.max(parseInt(filters.pageSize, 10) || 20, 1), 100);
+    const currentPage = Math.max(parseInt(filters.page, 10) || 1, 1);
+    const { where, replacements } = buildOrderFilter(filters);
+
+    const rows = await sequelize.query(`
+        SELECT
+            O.bill_number, O.order_number,
+            DATE_FORMAT(O.order_date, '%Y-%m-%d') AS order_date,
+            O.cart_discount_amount, O.order_subtotal_amount, O.order_total_tax_amount, O.order_total_amount,
+            O.payment_method,
+            C.id AS customer_id, C.party_name, C.company_billing, C.gst_number, C.state_name
+        FROM orders O
+        INNER JOIN customers C ON O.customer_id = C.id
+        ${where}
+        ORDER BY O.order_date DESC, O.id DESC
+        LIMIT :limit OFFSET :offset;
+    `, { replacements: { ...replacements, limit, offset: (currentPage - 1) * limit }, type: QueryTypes.SELECT });
+
+    const [countRow] = await sequelize.query(`
+        SELECT COUNT(*) AS total
+        FROM orders O
+        INNER JOIN customers C ON O.customer_id = C.id
+        ${where};
+    `, { replacements, type: QueryTypes.SELECT });
+    const total = parseInt(countRow.total, 10) || 0;
+
+    return {
+        orders: rows.map(r => ({
+            ...r,
+            cart_discount_amount: roundMoney(r.cart_discount_amount),
+            order_subtotal_amount: roundMoney(r.order_subtotal_amount),
+            order_total_tax_amount: roundMoney(r.order_total_tax_amount),
+            order_total_amount: roundMoney(r.order_total_amount),
+        })),
+        pagination: { page: currentPage, pageSize: limit, total, totalPages: Math.ceil(total / limit) },
+    };
+}
+
+/**
+ * Returns one order with a snapshot of its customer and its line items joined to the
+ * product master (name, HSN), or null if the bill does not exist.
+ */
+async function getOrder(billNumber) {
+    const [order] = await sequelize.query(`
+        SELECT
+            O.id, O.bill_number, O.order_number,
+            DATE_FORMAT(O.order_date, '%Y-%m-%d') AS order_date,
+            O.cart_discount_amount, O.order_subtotal_amount, O.order_total_tax_amount, O.order_total_amount,
+            O.payment_method, O.transaction_id, O.created_at, O.updated_at,
+            C.id AS customer_id, C.party_name, C.company_billing, C.email, C.gst_number, C.gstin_flagged,
+            C.gstin_issue, C.state_name, C.address, C.pincode, C.country
+        FROM orders O
+        INNER JOIN customers C ON O.customer_id = C.id
+        WHERE O.bill_number = :billNumber;
+    `, { replacements: { billNumber }, type: QueryTypes.SELECT });
+    if (!order) return null;
+
+    const items = await sequelize.query(`
+        SELECT
+            I.item_hash, I.quantity, I.unit_cost_at_sale, I.gst_rate, I.order_line_tax,
+            P.product_id, P.item_name, P.hsn_code
+        FROM order_items I
+        INNER JOIN products P ON I.product_id = P.id
+        WHERE I.order_id = :orderId
+        ORDER BY I.id;
+    `, { replacements: { orderId: order.id }, type: QueryTypes.SELECT });
+
+    return {
+        bill_number: order.bill_number,
+        order_number: order.order_number,
+        order_date: order.order_date,
+        cart_discount_amount: roundMoney(order.cart_discount_amount),
+        order_subtotal_amount: roundMoney(order.order_subtotal_amount),
+        order_total_tax_amount: roundMoney(order.order_total_tax_amount),
+        order_total_amount: roundMoney(order.order_total_amount),
+        payment_method: order.payment_method,
+        transaction_id: order.transaction_id,
+        created_at: order.created_at,
+        updated_at: order.updated_at,
+        customer: {
+            id: order.customer_id,
+            party_name: order.party_name,
+            company_billing: order.company_billing,
+            email: order.email,
+            gst_number: order.gst_number,
+            gstin_flagged: Boolean(order.gstin_flagged),
+            gstin_issue: order.gstin_issue,
+            state_name: order.state_name,
+            address: order.address,
+            pincode: order.pincode,
+            country: order.country,
+        },
+        items: items.map(item => ({
+            product_id: item.product_id,
+            item_name: item.item_name,
+            hsn_code: item.hsn_code,
+            item_hash: item.item_hash,
+            quantity: parseInt(item.quantity, 10) || 0,
+            unit_cost_at_sale: roundMoney(item.unit_cost_at_sale),
+            gst_rate: parseFloat(item.gst_rate) || 0,
+            taxable_value: lineValue(item.unit_cost_at_sale, item.quantity),
+            order_line_tax: roundMoney(item.order_line_tax),
+        })),
+    };
+}
+
+module.exports = { listOrders, getOrder };
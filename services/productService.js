@@ -0,0 +1,222 @@
+const ExcelJS = require('exceljs');
+const path = require('path');
+const { Op, QueryTypes } = require('sequelize');
+const { sequelize } = require('../config/db');
+const { Product } = require('../models');
+const { GST_RATES, normalizeUqc, findHsnCodeIssue } = require('../config/gst');
+const { roundMoney } = require('../config/money');
+const { prepareDownloadPath } = require('./downloads');
+const { findSellerProfile } = require('./sellerProfileService');
+
+// Fields that can be edited through the product API
+const EDITABLE_FIELDS = ['item_name', 'hsn_code', 'uqc', 'default_gst_rate', 'description'];
+
+/**
+ * Validates edits to the product master. Blank values clear a field (except item_name).
+ * HSN codes must be long enough for the seller's turnover slab.
+ * @returns {object} { errors: string[], updates }
+ */
+function validateProductFields(data, turnoverSlab) {
+    const errors = [];
+    const updates = {};
+    const isBlank = value => value === null || value.toString().trim() === '';
+
+    if (data.item_name !== undefined) {
+        if (isBlank(data.item_name)) errors.push('item_name cannot be empty.');
+        else updates.item_name = data.item_name.toString().trim();
+    }
+    if (data.hsn_code !== undefined) {
+        const hsn = isBlank(data.hsn_code) ? null : data.hsn_code.toString().trim();
+        const hsnIssue = hsn ? findHsnCodeIssue(hsn, turnoverSlab) : null;
+        if (hsnIssue) errors.push(hsnIssue);
+        else updates.hsn_code = hsn;
+    }
+    if (data.uqc !== undefined) {
+        const uqc = isBlank(data.uqc) ? null : normalizeUqc(data.uqc);
+        if (!isBlank(data.uqc) && !uqc) errors.push(`Unknown UQC "${data.uqc}".`);
+        else updates.uqc = uqc;
+    }
+    if (data.default_gst_rate !== undefined) {
+        const rate = isBlank(data.default_gst_rate) ? null : parseFloat(data.default_gst_rate);
+        if (rate !== null && !GST_RATES.includes(rate)) errors.push(`GST rate "${data.default_gst_rate}" is not a valid GST rate.`);
+        else updates.default_gst_rate = rate;
+    }
+    if (data.description !== undefined) {
+        updates.description = isBlank(data.description) ? null : data.description.toString().trim();
+    }
+
+    return { errors, updates };
+}
+
+/* Product rows with sales usage; `paging` is appended to the query (e.g. LIMIT/OFFSET) */
+async function queryProducts(where, replacements, paging = '') {
+    const rows = await sequelize.query(`
+        SELECT
+            P.id, P.product_id, P.item_name, P.hsn_code, P.uqc, P.default_gst_rate, P.description,
+            COUNT(I.id) AS line_count,
+            COALESCE(SUM(I.quantity), 0) AS quantity_sold,
+            COALESCE(SUM(I.unit_cost_at_sale * I.quantity), 0) AS taxable_value
+        FROM products P
+        LEFT JOIN order_items I ON I.product_id = P.id
+        ${where}
+        GROUP BY P.id
+        ORDER BY P.item_name ASC, P.id ASC
+        ${paging};
+    `, { replacements, type: QueryTypes.SELECT });
+
+    return rows.map(r => ({
+        ...r,
+        default_gst_rate: r.default_gst_rate === null ? null : parseFloat(r.default_gst_rate),
+        line_count: parseInt(r.line_count, 10) || 0,
+        quantity_sold: parseInt(r.quantity_sold, 10) || 0,
+        taxable_value: roundMoney(r.taxable_value),
+    }));
+}
+
+const MISSING_HSN_CONDITION = "(P.hsn_code IS NULL OR P.hsn_code = '')";
+
+/**
+ * Lists the product master with how often each product was sold.
+ * @param {object} options - { q?, missingHsn? ('true'), page = 1, pageSize = 50 }
+ */
+async function listProducts({ q, missingHsn, page = 1, pageSize = 50 } = {}) {
+    const limit = Math.min(Math.max(parseInt(pageSize, 10) || 50, 1), 500);
+    const currentPage = Math.max(parseInt(page, 10) || 1, 1);
+
+    const conditions = [];
+    const replacements = {};
+    if (q) {
+        conditions.push('(P.product_id LIKE :like OR P.item_name LIKE :like OR P.hsn_code LIKE :like)');
+        replacements.like = `%${q.toString().trim()}%`;
+    }
+    if (missingHsn === 'true') {
+        conditions.push(MISSING_HSN_CONDITION);
+    }
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const products = await queryProducts(where, { ...replacements, limit, offset: (currentPage - 1) * limit }, 'LIMIT :limit OFFSET :offset');
+
+    const [countRow] = await sequelize.query(`
+        SELECT COUNT(*) AS total FROM products P ${where};
+    `, { replacements, type: QueryTypes.SELECT });
+    const total = parseInt(countRow.total, 10) || 0;
+
+    return {
+        products,
+        pagination: { page: currentPage, pageSize: limit, total, totalPages: Math.ceil(total / limit) },
+    };
+}
+
+/**
+ * Products without an HSN code, highest taxable value first (these block the HSN summary).
+ */
+async function listProductsMissingHsn() {
+    const products = await queryProducts(`WHERE ${MISSING_HSN_CONDITION}`, {});
+    return products.sort((a, b) => b.taxable_value - a.taxable_value);
+}
+
+/**
+ * Edits one product.
+ * @returns {object} { success, message, product? }
+ */
+async function updateProduct(id, data) {
+    const product = await Product.findByPk(id);
+    if (!product) {
+        return { success: false, notFound: true, message: 'Product not found.' };
+    }
+
+    const seller = await findSellerProfile();
+    const { errors, updates } = validateProductFields(data, seller && seller.aggregate_turnover_slab);
+    if (errors.length > 0) {
+        return { success: false, message: errors.join(' ') };
+    }
+    if (Object.keys(updates).length === 0) {
+        return { success: false, message: `Nothing to update. Send one of: ${EDITABLE_FIELDS.join(', ')}.` };
+    }
+
+    await product.update(updates);
+    return { success: true, message: 'Product updated successfully.', product: product.get({ plain: true }) };
+}
+
+/**
+ * Assigns the same HSN code, UQC, default GST rate and/or description to many products.
+ * item_name is per product and cannot be bulk-assigned.
+ * @param {Array<number>} ids - Product ids (products.id).
+ * @returns {object} { success, message, updated? }
+ */
+async function bulkUpdateProducts(ids, data) {
+    const productIds = Array.from(new Set((ids || []).map(id => parseInt(id, 10)).filter(Boolean)));
+    if (productIds.length === 0) {
+        return { success: false, message: 'ids must list at least one product id.' };
+    }
+    if (data.item_name !== undefined) {
+        return { success: false, message: 'item_name cannot be bulk-assigned.' };
+    }
+
+    const seller = await findSellerProfile();
+    const { errors, updates } = validateProductFields(data, seller && seller.aggregate_turnover_slab);
+    if (errors.length > 0) {
+        return { success: false, message: errors.join(' ') };
+    }
+    if (Object.keys(updates).length === 0) {
+        return { success: false, message: 'Nothing to update. Send hsn_code, uqc, default_gst_rate or description.' };
+    }
+
+    const [updated] = await Product.update(updates, { where: { id: { [Op.in]: productIds } } });
+    return { success: true, message: `Updated ${updated} product(s).`, updated };
+}
+
+/**
+ * Writes listProductsMissingHsn() as an XLSX.
+ * @returns {string} Path under downloads/.
+ */
+async function generateMissingHsnReport() {
+    const products = await listProductsMissingHsn();
+
+    const workbook = new ExcelJS.Workbook();
+    const sheet = workbook.addWorksheet('Missing HSN');
+    sheet.columns = [
+        { header: 'Id', key: 'id', width: 8 },
+        { header: 'Product Id', key: 'product_id', width: 20 },
+        { header: 'Item Name', key: 'item_name', width: 50 },
+        { header: 'Invoice Lines', key: 'line_count', width: 14 },
+        { header: 'Quantity Sold', key: 'quantity_sold', width: 14 },
+        { header: 'Taxable Value', key: 'taxable_value', width: 16 },
+        { header: 'HSN Code', key: 'hsn_code', width: 12 },
+    ];
+    sheet.getRow(1).font = { bold: true };
+    products.forEach(product => sheet.addRow(product));
+
+    const filename = `products-missing-hsn-${Date.now()}.xlsx`;
+    await workbook.xlsx.writeFile(await prepareDownloadPath(filename));
+    return path.join('downloads', filename);
+}
+
+/**
+ * Import-time check of an invoice line against its product master.
+ * @returns {Array<string>} Warning messages (empty when the line agrees with the master).
+ */
+function findProductMasterConflicts(itemData, product) {
+    const warnings = [];
+    const lineHsn = (itemData.hsn_code || '').toString().trim();
+    if (lineHsn && product.hsn_code && lineHsn !== product.hsn_code.toString().trim()) {
+        warnings.push(`HSN ${lineHsn} for "${product.item_name}" differs from the product master (${product.hsn_code}).`);
+    }
+    if (product.default_gst_rate !== null && product.default_gst_rate !== undefined) {
+        const lineRate = parseFloat(itemData.gst_rate) || 0;
+        const masterRate = parseFloat(product.default_gst_rate);
+        if (lineRate !== masterRate) {
+            warnings.push(`GST rate ${lineRate}% for "${product.item_name}" differs from the product master (${masterRate}%).`);
+        }
+    }
+    return warnings;
+}
+
+module.exports = {
+    listProducts,
+    listProductsMissingHsn,
+    updateProduct,
+    bulkUpdateProducts,
+    generateMissingHsnReport,
+    findProductMasterConflicts,
+};
@@ -1,45 +1,268 @@
-// services/purgeService.js (FINAL VERSION)
+// services/purgeService.js
 
+const crypto = require('crypto');
+const ExcelJS = require('exceljs');
+const fs = require('fs').promises;
+const path = require('path');
+const { Op } = require('sequelize');
 const { sequelize } = require('../config/db');
-const { Customer, Order, OrderItem, Product } = require('../models'); 
+const {
+    Customer, CustomerMerge, Order, OrderItem, OrderChange, Product, CreditNote, CreditNoteItem, ImportJob,
+} = require('../models');
+const { prepareDownloadPath } = require('./downloads');
+
+// A dry run's confirmation token is valid this long, and only for the rows it reported
+const CONFIRMATION_TTL_MS = 10 * 60 * 1000;
+
+// Tokens handed out by dry runs: token -> { scope, fingerprint, expiresAt }. A restart invalidates them.
+const pendingPurges = new Map();
+
+// Snapshot tables, parents first (the order to re-insert them in)
+const SNAPSHOT_TABLES = [
+    'customers', 'products', 'customer_merges', 'orders', 'order_items', 'order_changes', 'credit_notes', 'credit_note_items',
+];
 
 /**
- * Deletes all data from the primary application tables.
- * Disables foreign key checks temporarily to allow TRUNCATE to work correctly.
+ * Validates the purge scope. Exactly one of: a date range, an import job, or a list of bill numbers.
+ * @returns {object} { errors: string[], scope }
  */
-async function purgeAllData() {
-    // Define the tables in order of deletion (children first)
-    const tables = [OrderItem, Order, Customer, Product];
-    
-    // Use a transaction to ensure atomicity for the check disabling/enabling
-    const t = await sequelize.transaction();
+function parsePurgeScope({ startDate, endDate, importJobId, billNumbers } = {}) {
+    const errors = [];
+    const given = [startDate || endDate, importJobId, billNumbers].filter(value => value !== undefined && value !== null && value !== '');
+    if (given.length !== 1) {
+        errors.push('Give exactly one scope: startDate + endDate, importJobId, or billNumbers.');
+        return { errors, scope: null };
+    }
+
+    if (startDate || endDate) {
+        const isDate = value => /^\d{4}-\d{2}-\d{2}$/.test(value || '');
+        if (!isDate(startDate) || !isDate(endDate)) errors.push('startDate and endDate must both be given as YYYY-MM-DD.');
+        else if (startDate > endDate) errors.push('startDate must not be after endDate.');
+        return { errors, scope: { startDate, endDate } };
+    }
+    if (importJobId) {
+        const jobId = parseInt(importJobId, 10);
+        if (!jobId) errors.push('importJobId must be a job id.');
+        return { errors, scope: { importJobId: jobId } };
+    }
+
+    const list = (Array.isArray(billNumbers) ? billNumbers : billNumbers.toString().split(','))
+        .map(billNumber => (billNumber || '').toString().trim())
+        .filter(Boolean);
+    if (list.length === 0) errors.push('billNumbers must list at least one bill number.');
+    return { errors, scope: { billNumbers: Array.from(new Set(list)) } };
+}
 
+function orderWhere(scope) {
+    if (scope.startDate) return { order_date: { [Op.between]: [scope.startDate, scope.endDate] } };
+    if (scope.importJobId) return { importJobId: scope.importJobId };
+    return { bill_number: { [Op.in]: scope.billNumbers } };
+}
+
+const idsOf = rows => rows.map(row => row.id);
+
+/*
+ * Collects every row the purge would delete. Credit notes raised against the orders go with
+ * them; customers and products are only deleted when nothing outside the scope still uses them.
+ */
+async function collectPurgeRows(scope, t) {
+    const orders = await Order.findAll({ where: orderWhere(scope), order: [['id', 'ASC']], raw: true, transaction: t });
+    const orderIds = idsOf(orders);
+    const inOrders = { [Op.in]: orderIds };
+
+    const orderItems = await OrderItem.findAll({ where: { orderId: inOrders }, raw: true, transaction: t });
+    const orderChanges = await OrderChange.findAll({ where: { orderId: inOrders }, raw: true, transaction: t });
+    const creditNotes = await CreditNote.findAll({ where: { orderId: inOrders }, raw: true, transaction: t });
+    const creditNoteIds = idsOf(creditNotes);
+    const creditNoteItems = await CreditNoteItem.findAll({ where: { creditNoteId: { [Op.in]: creditNoteIds } }, raw: true, transaction: t });
+
+    // Customers of the orders with no other order or credit note
+    const candidateCustomerIds = Array.from(new Set([...orders, ...creditNotes].map(row => row.customerId)));
+    const keptOrderCustomers = await Order.findAll({
+        where: { customerId: { [Op.in]: candidateCustomerIds }, id: { [Op.notIn]: orderIds } },
+        attributes: ['customerId'], raw: true, transaction: t,
+    });
+    const keptNoteCustomers = await CreditNote.findAll({
+        where: { customerId: { [Op.in]: candidateCustomerIds }, id: { [Op.notIn]: creditNoteIds } },
+        attributes: ['customerId'], raw: true, transaction: t,
+    });
+    const keptCustomerIds = new Set([...keptOrderCustomers, ...keptNoteCustomers].map(row => row.customerId));
+    const orphanCustomerIds = candidateCustomerIds.filter(id => !keptCustomerIds.has(id));
+    const customers = await Customer.findAll({ where: { id: { [Op.in]: orphanCustomerIds } }, raw: true, transaction: t });
+    const customerMerges = await CustomerMerge.findAll({ where: { survivorId: { [Op.in]: orphanCustomerIds } }, raw: true, transaction: t });
+
+    // Products of the lines with no other invoice or credit note line
+    const candidateProductIds = Array.from(new Set([...orderItems, ...creditNoteItems].map(row => row.productId).filter(Boolean)));
+    const keptOrderProducts = await OrderItem.findAll({
+        where: { productId: { [Op.in]: candidateProductIds }, id: { [Op.notIn]: idsOf(orderItems) } },
+        attributes: ['productId'], raw: true, transaction: t,
+    });
+    const keptNoteProducts = await CreditNoteItem.findAll({
+        where: { productId: { [Op.in]: candidateProductIds }, id: { [Op.notIn]: idsOf(creditNoteItems) } },
+        attributes: ['productId'], raw: true, transaction: t,
+    });
+    const keptProductIds = new Set([...keptOrderProducts, ...keptNoteProducts].map(row => row.productId));
+    const products = await Product.findAll({
+        where: { id: { [Op.in]: candidateProductIds.filter(id => !keptProductIds.has(id)) } },
+        raw: true, transaction: t,
+    });
+
+    return {
+        customers,
+        products,
+        customer_merges: customerMerges,
+        orders,
+        order_items: orderItems,
+        order_changes: orderChanges,
+        credit_notes: creditNotes,
+        credit_note_items: creditNoteItems,
+    };
+}
+
+function countRows(rows) {
+    return Object.fromEntries(SNAPSHOT_TABLES.map(table => [table, rows[table].length]));
+}
+
+/* Identifies exactly which rows a dry run reported, so a confirmation cannot delete anything else */
+function fingerprint(scope, rows) {
+    const ids = Object.fromEntries(SNAPSHOT_TABLES.map(table => [table, idsOf(rows[table])]));
+    return crypto.createHash('sha256').update(JSON.stringify({ scope, ids })).digest('hex');
+}
+
+function dropExpiredTokens() {
+    const now = Date.now();
+    pendingPurges.forEach((pending, token) => {
+        if (pending.expiresAt <= now) pendingPurges.delete(token);
+    });
+}
+
+/**
+ * Writes the rows about to be deleted as JSON (tables in re-insert order, with their ids)
+ * and as an XLSX with one sheet per table.
+ * @returns {object} { json, xlsx } paths under downloads/.
+ */
+async function writePurgeSnapshot(scope, rows) {
+    const baseName = `purge-backup-${Date.now()}`;
+
+    const snapshot = { created_at: new Date().toISOString(), scope, counts: countRows(rows), tables: rows };
+    await fs.writeFile(await prepareDownloadPath(`${baseName}.json`), JSON.stringify(snapshot, null, 2));
+
+    const workbook = new ExcelJS.Workbook();
+    SNAPSHOT_TABLES.forEach(table => {
+        const sheet = workbook.addWorksheet(table);
+        const tableRows = rows[table];
+        if (tableRows.length === 0) return;
+        sheet.columns = Object.keys(tableRows[0]).map(key => ({ header: key, key, width: 18 }));
+        sheet.getRow(1).font = { bold: true };
+        tableRows.forEach(row => sheet.addRow(Object.fromEntries(Object.entries(row).map(([key, value]) =>
+            [key, value !== null && typeof value === 'object' && !(value instanceof Date) ? JSON.stringify(value) : value]))));
+    });
+    await workbook.xlsx.writeFile(await prepareDownloadPath(`${baseName}.xlsx`));
+
+    return { json: path.join('downloads', `${baseName}.json`), xlsx: path.join('downloads', `${baseName}.xlsx`) };
+}
+
+/**
+ * Dry run: reports what a purge of the scope would delete and hands out a confirmation token.
+ * Nothing is changed.
+ * @param {object} options - { startDate, endDate } | { importJobId } | { billNumbers }
+ * @returns {object} { success, message?, notFound?, dryRun, scope, counts, bill_numbers, missing_bill_numbers, confirmationToken, expiresAt }
+ */
+async function previewPurge(options) {
+    const { errors, scope } = parsePurgeScope(options);
+    if (errors.length > 0) {
+        return { success: false, message: errors.join(' ') };
+    }
+    if (scope.importJobId && !(await ImportJob.findByPk(scope.importJobId))) {
+        return { success: false, notFound: true, message: 'Import job not found.' };
+    }
+
+    const rows = await collectPurgeRows(scope);
+    const billNumbers = rows.orders.map(order => order.bill_number);
+    const found = new Set(billNumbers.map(billNumber => billNumber.toLowerCase()));
+
+    dropExpiredTokens();
+    const confirmationToken = crypto.randomBytes(16).toString('hex');
+    const expiresAt = Date.now() + CONFIRMATION_TTL_MS;
+    pendingPurges.set(confirmationToken, { scope: JSON.stringify(scope), fingerprint: fingerprint(scope, rows), expiresAt });
+
+    return {
+        success: true,
+        dryRun: true,
+        scope,
+        counts: countRows(rows),
+        bill_numbers: billNumbers,
+        missing_bill_numbers: scope.billNumbers ? scope.billNumbers.filter(billNumber => !found.has(billNumber.toLowerCase())) : [],
+        confirmationToken,
+        expiresAt: new Date(expiresAt).toISOString(),
+    };
+}
+
+/**
+ * Deletes the rows reported by a dry run of the same scope. The token is single-use and is
+ * refused if the matching rows changed since the dry run. A JSON + XLSX snapshot of the rows
+ * is written before anything is deleted.
+ * @returns {object} { success, message, counts?, backup?: { json, xlsx } }
+ */
+async function purgeData(options, confirmationToken) {
+    const { errors, scope } = parsePurgeScope(options);
+    if (errors.length > 0) {
+        return { success: false, message: errors.join(' ') };
+    }
+
+    dropExpiredTokens();
+    const pending = pendingPurges.get(confirmationToken);
+    if (!pending) {
+        return { success: false, message: 'Unknown or expired confirmation token. Run a dry run of the purge first.' };
+    }
+    pendingPurges.delete(confirmationToken);
+    if (pending.scope !== JSON.stringify(scope)) {
+        return { success: false, message: 'The confirmation token was issued for a different scope. Run a dry run of this scope first.' };
+    }
+
+    const t = await sequelize.transaction();
     try {
-        // 1. Temporarily disable foreign key checks
-        await sequelize.query('SET FOREIGN_KEY_CHECKS = 0', { transaction: t });
-        
-        for (const table of tables) {
-            // 2. Truncate each table to delete all data and reset auto-increment counters
-            await table.truncate({ transaction: t, cascade: true, restartIdentity: true });
+        const rows = await collectPurgeRows(scope, t);
+        if (fingerprint(scope, rows) !== pending.fingerprint) {
+            await t.rollback();
+            return { success: false, message: 'The data in this scope changed since the dry run. Run the dry run again.' };
+        }
+        const counts = countRows(rows);
+        if (rows.orders.length === 0) {
+            await t.rollback();
+            return { success: true, message: 'Nothing to purge in this scope.', counts };
         }
 
-        // 3. Re-enable foreign key checks
-        await sequelize.query('SET FOREIGN_KEY_CHECKS = 1', { transaction: t });
+        const backup = await writePurgeSnapshot(scope, rows);
 
-        // 4. Commit the transaction
+        // Children first
+        const deletions = [
+            [CreditNoteItem, rows.credit_note_items],
+            [CreditNote, rows.credit_notes],
+            [OrderChange, rows.order_changes],
+            [OrderItem, rows.order_items],
+            [Order, rows.orders],
+            [CustomerMerge, rows.customer_merges],
+            [Customer, rows.customers],
+            [Product, rows.products],
+        ];
+        for (const [model, modelRows] of deletions) {
+            if (modelRows.length > 0) {
+                await model.destroy({ where: { id: { [Op.in]: idsOf(modelRows) } }, transaction: t });
+            }
+        }
         await t.commit();
-        
-        return { success: true, message: "All order, customer, product, and item data has been successfully deleted." };
 
+        return {
+            success: true,
+            message: `Purged ${counts.orders} order(s), ${counts.credit_notes} credit note(s), ${counts.customers} customer(s) and ${counts.products} product(s).`,
+            counts,
+            backup,
+        };
     } catch (error) {
-        // Rollback the transaction if anything failed
         await t.rollback();
-        // Ensure foreign key checks are re-enabled even if the purge fails
-        await sequelize.query('SET FOREIGN_KEY_CHECKS = 1'); 
-
-        console.error("Database purge failed:", error);
-        return { success: false, message: `Failed to purge data due to a database error: ${error.message}. Foreign key checks have been re-enabled.` };
+        throw error;
     }
 }
 
-module.exports = { purgeAllData };
\ No newline at end of file
+module.exports = { previewPurge, purgeData };
@@ -0,0 +1,199 @@
+const ExcelJS = require('exceljs');
+const fs = require('fs');
+const path = require('path');
+const { Op } = require('sequelize');
+const { Order } = require('../models');
+const {
+    readOrderFileRows,
+    isWcAnalyticsLayout,
+    mapRow,
+    parseWcAmount,
+    COLUMN_MAP,
+    WC_ANALYTICS_COLUMN_MAP,
+    WC_SKIPPED_STATUSES,
+} = require('./orderFileParser');
+const { prepareDownloadPath } = require('./downloads');
+const { roundMoney } = require('../config/money');
+
+// Amounts within this many rupees are treated as equal
+const AMOUNT_TOLERANCE = 0.01;
+
+// Mismatch category -> XLSX sheet name
+const MISMATCH_SHEETS = {
+    order_number: 'Order Number',
+    order_date: 'Date',
+    net_sales: 'Net Sales',
+    revenue: 'Revenue',
+    status: 'Status',
+};
+
+/* "YYYY-MM-DD" for DATEONLY values, WooCommerce "2025-10-30 06:04:52" strings and XLSX dates */
+function toDateOnly(value) {
+    if (!value) return null;
+    if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}/.test(value)) return value.substring(0, 10);
+    const date = new Date(value);
+    if (isNaN(date)) return null;
+    const pad = n => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Reads the WooCommerce file into one entry per invoice number. Both the Analytics orders
+ * export and the invoice-line layout used by the importer are accepted.
+ * @returns {Map<string, object>} bill_number -> { bill_number, order_number, order_date, net_sales, revenue, status }
+ */
+async function readReconciliationFile(filePath) {
+    const { headers, rows } = await readOrderFileRows(filePath);
+    const isWcAnalytics = isWcAnalyticsLayout(headers);
+    const fileOrders = new Map();
+
+    rows.forEach(({ values }) => {
+        const rowData = mapRow(values, isWcAnalytics ? WC_ANALYTICS_COLUMN_MAP : COLUMN_MAP);
+        if (!rowData.bill_number) return;
+
+        // The invoice-line layout repeats each bill once per item
+        const billNumber = rowData.bill_number.toString().trim();
+        if (fileOrders.has(billNumber)) return;
+
+        fileOrders.set(billNumber, {
+            bill_number: billNumber,
+            order_number: rowData.order_number ? rowData.order_number.toString().trim() : null,
+            order_date: toDateOnly(rowData.order_date),
+            net_sales: isWcAnalytics ? parseWcAmount(rowData.net_sales) : roundMoney(rowData.order_subtotal_amount),
+            revenue: isWcAnalytics ? parseWcAmount(rowData.revenue) : roundMoney(rowData.order_total_amount),
+            status: rowData.status ? rowData.status.toString().toLowerCase() : null,
+        });
+    });
+
+    return fileOrders;
+}
+
+/* Compares one file order with its stored counterpart */
+function findMismatches(fileOrder, dbOrder) {
+    const mismatches = [];
+    const add = (category, fileValue, dbValue) => mismatches.push({
+        category,
+        bill_number: fileOrder.bill_number,
+        file_value: fileValue,
+        db_value: dbValue,
+    });
+
+    if (fileOrder.order_number && fileOrder.order_number !== (dbOrder.order_number || '').toString().trim()) {
+        add('order_number', fileOrder.order_number, dbOrder.order_number);
+    }
+    if (fileOrder.order_date && fileOrder.order_date !== toDateOnly(dbOrder.order_date)) {
+        add('order_date', fileOrder.order_date, toDateOnly(dbOrder.order_date));
+    }
+    const dbNetSales = roundMoney(dbOrder.order_subtotal_amount);
+    if (Math.abs(fileOrder.net_sales - dbNetSales) > AMOUNT_TOLERANCE) {
+        add('net_sales', fileOrder.net_sales, dbNetSales);
+    }
+    const dbRevenue = roundMoney(dbOrder.order_total_amount);
+    if (Math.abs(fileOrder.revenue - dbRevenue) > AMOUNT_TOLERANCE) {
+        add('revenue', fileOrder.revenue, dbRevenue);
+    }
+    // Stored orders are sales; a cancelled/refunded/failed/pending bill should not be among them
+    if (fileOrder.status && WC_SKIPPED_STATUSES.includes(fileOrder.status)) {
+        add('status', fileOrder.status, 'imported');
+    }
+
+    return mismatches;
+}
+
+function addSheet(workbook, name, columns, rows) {
+    const sheet = workbook.addWorksheet(name);
+    sheet.columns = columns.map(([header, key]) => ({ header, key, width: 22 }));
+    sheet.getRow(1).font = { bold: true };
+    rows.forEach(row => sheet.addRow(row));
+}
+
+async function writeReconciliationWorkbook(result) {
+    const workbook = new ExcelJS.Workbook();
+
+    addSheet(workbook, 'Summary', [['Metric', 'metric'], ['Value', 'value']],
+        Object.entries(result.summary).map(([metric, value]) => ({ metric, value })));
+    addSheet(workbook, 'Missing in DB',
+        [['Invoice Number', 'bill_number'], ['Order #', 'order_number'], ['Date', 'order_date'], ['Net Sales', 'net_sales'], ['Revenue', 'revenue'], ['Status', 'status']],
+        result.missingInDb);
+    addSheet(workbook, 'Extra in DB',
+        [['Bill Number', 'bill_number'], ['Order Number', 'order_number'], ['Order Date', 'order_date'], ['Subtotal', 'order_subtotal_amount'], ['Total', 'order_total_amount']],
+        result.extraInDb);
+    for (const [category, sheetName] of Object.entries(MISMATCH_SHEETS)) {
+        addSheet(workbook, sheetName,
+            [['Invoice Number', 'bill_number'], ['WooCommerce', 'file_value'], ['Database', 'db_value']],
+            result.mismatches.filter(mismatch => mismatch.category === category));
+    }
+
+    const filename = `reconciliation-${Date.now()}.xlsx`;
+    await workbook.xlsx.writeFile(await prepareDownloadPath(filename));
+    return path.join('downloads', filename);
+}
+
+/**
+ * Reconciles a WooCommerce export with the orders table by invoice number.
+ * Bills in the database but not in the file are only looked for within the period the
+ * file covers, unless startDate/endDate are given.
+ * @param {string} filePath - Uploaded CSV/XLSX (deleted afterwards).
+ * @param {object} [options] - { startDate?, endDate? } as YYYY-MM-DD.
+ * @returns {object} { summary, missingInDb, extraInDb, mismatches, downloadPath }
+ */
+async function reconcileOrderFile(filePath, { startDate, endDate } = {}) {
+    try {
+        const fileOrders = await readReconciliationFile(filePath);
+        const fileDates = Array.from(fileOrders.values()).map(o => o.order_date).filter(Boolean).sort();
+        const periodStart = startDate || fileDates[0];
+        const periodEnd = endDate || fileDates[fileDates.length - 1];
+
+        const attributes = ['bill_number', 'order_number', 'order_date', 'order_subtotal_amount', 'order_total_amount'];
+        const matchedOrders = fileOrders.size > 0
+            ? await Order.findAll({ attributes, where: { bill_number: { [Op.in]: Array.from(fileOrders.keys()) } }, raw: true })
+            : [];
+        const periodOrders = periodStart && periodEnd
+            ? await Order.findAll({ attributes, where: { order_date: { [Op.between]: [periodStart, periodEnd] } }, raw: true })
+            : [];
+
+        const dbOrders = new Map(matchedOrders.map(order => [order.bill_number.toString().trim(), order]));
+
+        const missingInDb = [];
+        const mismatches = [];
+        let matched = 0;
+        for (const fileOrder of fileOrders.values()) {
+            const dbOrder = dbOrders.get(fileOrder.bill_number);
+            if (dbOrder) {
+                matched++;
+                mismatches.push(...findMismatches(fileOrder, dbOrder));
+            } else if (!WC_SKIPPED_STATUSES.includes(fileOrder.status)) {
+                // Cancelled/refunded/failed/pending orders are expected to be absent
+                missingInDb.push(fileOrder);
+            }
+        }
+
+        const extraInDb = periodOrders
+            .filter(order => !fileOrders.has(order.bill_number.toString().trim()))
+            .map(order => ({ ...order, order_date: toDateOnly(order.order_date) }));
+
+        const result = {
+            summary: {
+                periodStart: periodStart || null,
+                periodEnd: periodEnd || null,
+                fileOrders: fileOrders.size,
+                matched,
+                missingInDb: missingInDb.length,
+                extraInDb: extraInDb.length,
+                mismatchedOrders: new Set(mismatches.map(mismatch => mismatch.bill_number)).size,
+            },
+            missingInDb,
+            extraInDb,
+            mismatches,
+        };
+        result.downloadPath = await writeReconciliationWorkbook(result);
+        return result;
+
+    } finally {
+        fs.unlink(filePath, (err) => {
+            if (err) console.error('Error deleting file:', err);
+        });
+    }
+}
+
+module.exports = { reconcileOrderFile };
@@ -0,0 +1,177 @@
+const ExcelJS = require('exceljs');
+const path = require('path');
+const { QueryTypes } = require('sequelize');
+const { sequelize } = require('../config/db');
+const { STATE_CODE_TO_NAME, stateCodeFromName } = require('../config/gst');
+const { prepareDownloadPath } = require('./downloads');
+const { roundMoney, addMoney } = require('../config/money');
+
+// MySQL DATE_FORMAT patterns for the period breakdown (week = ISO year + week)
+const PERIOD_FORMATS = {
+    day: '%Y-%m-%d',
+    week: '%x-W%v',
+    month: '%Y-%m',
+};
+const PERIOD_LABELS = { day: 'Day', week: 'Week', month: 'Month' };
+
+// Order-level measures. order_subtotal_amount is stored before the cart discount (see
+// models/Order.js), so it is the gross and the discount comes off it to give the taxable value.
+const ORDER_MEASURES = `
+    COUNT(O.id) AS orders,
+    SUM(O.order_subtotal_amount) AS gross,
+    SUM(O.cart_discount_amount) AS discount,
+    SUM(O.order_subtotal_amount - O.cart_discount_amount) AS taxable,
+    SUM(O.order_total_tax_amount) AS tax,
+    SUM(O.order_total_amount) AS net
+`;
+
+const CUSTOMER_TYPE_SQL = "CASE WHEN C.gst_number IS NOT NULL AND C.gst_number != '' THEN 'B2B' ELSE 'B2C' END";
+
+/* DECIMAL sums arrive as strings; COUNTs as numbers */
+function toMeasures(row) {
+    return {
+        orders: parseInt(row.orders, 10) || 0,
+        gross: roundMoney(row.gross),
+        discount: roundMoney(row.discount),
+        taxable: roundMoney(row.taxable),
+        tax: roundMoney(row.tax),
+        net: roundMoney(row.net),
+    };
+}
+
+async function selectRows(query, startDate, endDate) {
+    return sequelize.query(query, { replacements: { startDate, endDate }, type: QueryTypes.SELECT });
+}
+
+/* Order-level totals grouped by one SQL expression */
+async function fetchOrderBreakdown(groupExpression, startDate, endDate) {
+    const rows = await selectRows(`
+        SELECT ${groupExpression} AS group_key, ${ORDER_MEASURES}
+        FROM orders O
+        INNER JOIN customers C ON O.customer_id = C.id
+        WHERE O.order_date BETWEEN :startDate AND :endDate
+        GROUP BY group_key
+        ORDER BY group_key;
+    `, startDate, endDate);
+
+    return rows.map(r => ({ key: r.group_key, ...toMeasures(r) }));
+}
+
+async function fetchTotals(startDate, endDate) {
+    const [row] = await selectRows(`
+        SELECT ${ORDER_MEASURES}
+        FROM orders O
+        WHERE O.order_date BETWEEN :startDate AND :endDate;
+    `, startDate, endDate);
+    return toMeasures(row || {});
+}
+
+/* Products carry no order-level discount, so only line quantities, taxable value and tax are summed */
+async function fetchProductBreakdown(startDate, endDate) {
+    const rows = await selectRows(`
+        SELECT
+            P.product_id,
+            P.item_name,
+            P.hsn_code,
+            COUNT(DISTINCT O.id) AS orders,
+            SUM(I.quantity) AS quantity,
+            SUM(I.unit_cost_at_sale * I.quantity) AS taxable,
+            SUM(I.order_line_tax) AS tax
+        FROM orders O
+        INNER JOIN order_items I ON O.id = I.order_id
+        INNER JOIN products P ON I.product_id = P.id
+        WHERE O.order_date BETWEEN :startDate AND :endDate
+        GROUP BY P.id, P.product_id, P.item_name, P.hsn_code
+        ORDER BY taxable DESC;
+    `, startDate, endDate);
+
+    return rows.map(r => ({
+        product_id: r.product_id,
+        item_name: r.item_name,
+        hsn_code: r.hsn_code,
+        orders: parseInt(r.orders, 10) || 0,
+        quantity: parseInt(r.quantity, 10) || 0,
+        taxable: roundMoney(r.taxable),
+        tax: roundMoney(r.tax),
+        total: addMoney(r.taxable, r.tax),
+    }));
+}
+
+/* Differently spelled state names resolve to the same state code, so merge on the code */
+function mergeStates(rows) {
+    const merged = {};
+    rows.forEach(r => {
+        const code = stateCodeFromName(r.key);
+        const state = code ? `${code}-${STATE_CODE_TO_NAME[code]}` : (r.key || 'Unknown');
+        if (!merged[state]) {
+            merged[state] = { key: state, orders: 0, gross: 0, discount: 0, taxable: 0, tax: 0, net: 0 };
+        }
+        for (const measure of ['orders', 'gross', 'discount', 'taxable', 'tax', 'net']) {
+            merged[state][measure] = addMoney(merged[state][measure], r[measure]);
+        }
+    });
+    return Object.values(merged).sort((a, b) => a.key.localeCompare(b.key));
+}
+
+/**
+ * Sales summary for a date range: totals (gross, discount, taxable, tax, net) and
+ * breakdowns by period, product, state, payment method and B2B vs B2C.
+ * @param {string} startDate - YYYY-MM-DD
+ * @param {string} endDate - YYYY-MM-DD
+ * @param {object} [options] - { groupBy: 'day' | 'week' | 'month' } for the period breakdown.
+ */
+async function generateSalesSummary(startDate, endDate, { groupBy = 'month' } = {}) {
+    const periodFormat = PERIOD_FORMATS[groupBy];
+    if (!periodFormat) {
+        throw new Error(`Unsupported groupBy "${groupBy}". Use day, week or month.`);
+    }
+
+    return {
+        startDate,
+        endDate,
+        groupBy,
+        totals: await fetchTotals(startDate, endDate),
+        byPeriod: await fetchOrderBreakdown(`DATE_FORMAT(O.order_date, '${periodFormat}')`, startDate, endDate),
+        byProduct: await fetchProductBreakdown(startDate, endDate),
+        byState: mergeStates(await fetchOrderBreakdown('C.state_name', startDate, endDate)),
+        byPaymentMethod: await fetchOrderBreakdown("COALESCE(NULLIF(O.payment_method, ''), 'Unknown')", startDate, endDate),
+        byCustomerType: await fetchOrderBreakdown(CUSTOMER_TYPE_SQL, startDate, endDate),
+    };
+}
+
+const ORDER_COLUMNS = [
+    ['Orders', 'orders'], ['Gross', 'gross'], ['Discount', 'discount'],
+    ['Taxable', 'taxable'], ['Tax', 'tax'], ['Net', 'net'],
+];
+
+function addSheet(workbook, name, columns, rows) {
+    const sheet = workbook.addWorksheet(name);
+    sheet.columns = columns.map(([header, key]) => ({ header, key, width: 18 }));
+    sheet.getRow(1).font = { bold: true };
+    rows.forEach(row => sheet.addRow(row));
+}
+
+/**
+ * Writes the sales summary as an XLSX with one sheet per breakdown.
+ * @returns {string} Path under downloads/.
+ */
+async function generateSalesSummaryReport(startDate, endDate, options) {
+    const summary = await generateSalesSummary(startDate, endDate, options);
+
+    const workbook = new ExcelJS.Workbook();
+    addSheet(workbook, 'Totals', ORDER_COLUMNS, [summary.totals]);
+    addSheet(workbook, 'By Period', [[PERIOD_LABELS[summary.groupBy], 'key'], ...ORDER_COLUMNS], summary.byPeriod);
+    addSheet(workbook, 'By Product', [
+        ['Product Id', 'product_id'], ['Item Name', 'item_name'], ['HSN', 'hsn_code'], ['Orders', 'orders'],
+        ['Quantity', 'quantity'], ['Taxable', 'taxable'], ['Tax', 'tax'], ['Total', 'total'],
+    ], summary.byProduct);
+    addSheet(workbook, 'By State', [['State', 'key'], ...ORDER_COLUMNS], summary.byState);
+    addSheet(workbook, 'By Payment Method', [['Payment Method', 'key'], ...ORDER_COLUMNS], summary.byPaymentMethod);
+    addSheet(workbook, 'B2B vs B2C', [['Type', 'key'], ...ORDER_COLUMNS], summary.byCustomerType);
+
+    const filename = `sales-summary-${startDate.replace(/-/g, '')}-${endDate.replace(/-/g, '')}-${Date.now()}.xlsx`;
+    await workbook.xlsx.writeFile(await prepareDownloadPath(filename));
+    return path.join('downloads', filename);
+}
+
+module.exports = { generateSalesSummary, generateSalesSummaryReport, PERIOD_FORMATS };
@@ -0,0 +1,70 @@
+const { SellerProfile } = require('../models');
+const { STATE_CODE_TO_NAME, HSN_MIN_DIGITS_BY_TURNOVER, validateGstin } = require('../config/gst');
+
+/**
+ * Returns the configured seller profile as a plain object, or null if none has been saved.
+ */
+async function findSellerProfile() {
+    return SellerProfile.findOne({ order: [['id', 'ASC']], raw: true });
+}
+
+/**
+ * Same as findSellerProfile, but every GST computation depends on the profile,
+ * so a missing one is a hard error here.
+ */
+async function getSellerProfile() {
+    const profile = await findSellerProfile();
+    if (!profile) {
+        throw new Error('Seller profile is not configured. Set it with PUT /api/seller-profile before generating GST reports.');
+    }
+    return profile;
+}
+
+/**
+ * Creates or replaces the single seller profile.
+ * The home state code defaults to the first two digits of the GSTIN and must agree with it.
+ * @param {object} data - { gstin, legal_name, home_state_code?, invoice_prefix, aggregate_turnover_slab? ('UPTO_5_CR' | 'ABOVE_5_CR') }
+ * @returns {object} { success, message, profile? }
+ */
+async function saveSellerProfile(data) {
+    const gstin = (data.gstin || '').toString().trim().toUpperCase();
+    const legalName = (data.legal_name || '').toString().trim();
+    const invoicePrefix = (data.invoice_prefix || '').toString().trim();
+    const homeStateCode = (data.home_state_code || gstin.substring(0, 2)).toString().padStart(2, '0');
+    const turnoverSlab = (data.aggregate_turnover_slab || 'UPTO_5_CR').toString().trim().toUpperCase();
+
+    const gstinCheck = validateGstin(gstin);
+    if (!gstinCheck.valid) {
+        return { success: false, message: gstinCheck.reason };
+    }
+    if (!legalName) {
+        return { success: false, message: 'legal_name is required.' };
+    }
+    if (!/^[A-Za-z0-9-]{1,20}$/.test(invoicePrefix)) {
+        return { success: false, message: 'invoice_prefix must be 1-20 letters, digits or "-".' };
+    }
+    if (!STATE_CODE_TO_NAME[homeStateCode]) {
+        return { success: false, message: `home_state_code "${homeStateCode}" is not a GST state code.` };
+    }
+    if (gstin.substring(0, 2) !== homeStateCode) {
+        return { success: false, message: `home_state_code ${homeStateCode} does not match the GSTIN state code ${gstin.substring(0, 2)}.` };
+    }
+
+    if (!HSN_MIN_DIGITS_BY_TURNOVER[turnoverSlab]) {
+        return { success: false, message: `aggregate_turnover_slab must be one of: ${Object.keys(HSN_MIN_DIGITS_BY_TURNOVER).join(', ')}.` };
+    }
+
+    const values = {
+        gstin,
+        legal_name: legalName,
+        home_state_code: homeStateCode,
+        invoice_prefix: invoicePrefix,
+        aggregate_turnover_slab: turnoverSlab,
+    };
+    const existing = await SellerProfile.findOne({ order: [['id', 'ASC']] });
+    const profile = existing ? await existing.update(values) : await SellerProfile.create(values);
+
+    return { success: true, message: 'Seller profile saved.', profile: profile.get({ plain: true }) };
+}
+
+module.exports = { findSellerProfile, getSellerProfile, saveSellerProfile };
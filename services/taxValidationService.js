@@ -0,0 +1,128 @@
+const { QueryTypes } = require('sequelize');
+const { sequelize } = require('../config/db');
+const { toPaise, roundMoney, addMoney, lineValue, lineTax } = require('../config/money');
+
+// Arithmetic every invoice must satisfy, checked at import and by the audit
+const TAX_CHECK_RULES = {
+    LINE_TAX: 'Line tax = unit cost × quantity × GST rate',
+    LINE_SUM: 'Line values (unit cost × quantity) add up to the order subtotal',
+    ORDER_TOTAL: 'Subtotal − discount + tax = order total',
+};
+
+const DEFAULT_TOLERANCE = 0.01;
+
+/**
+ * Reads the check settings from the environment:
+ * TAX_CHECK_TOLERANCE - largest difference (in rupees) accepted as rounding, default 0.01.
+ * TAX_CHECK_ERROR_RULES - comma-separated rules (e.g. "ORDER_TOTAL,LINE_SUM") that reject
+ * the order at import; every other rule only adds a warning.
+ */
+function taxCheckConfigFromEnv() {
+    const tolerance = parseFloat(process.env.TAX_CHECK_TOLERANCE);
+    const errorRules = (process.env.TAX_CHECK_ERROR_RULES || '').split(',').map(rule => rule.trim().toUpperCase());
+    return {
+        tolerance: Number.isFinite(tolerance) && tolerance >= 0 ? tolerance : DEFAULT_TOLERANCE,
+        severities: Object.fromEntries(Object.keys(TAX_CHECK_RULES).map(rule =>
+            [rule, errorRules.includes(rule) ? 'ERROR' : 'WARNING'])),
+    };
+}
+
+/**
+ * Checks one order's arithmetic. Works on a grouped order from the parser and on
+ * stored orders alike (same field names).
+ * @param {object} order - { cart_discount_amount, order_subtotal_amount, order_total_tax_amount,
+ *                          order_total_amount, items: [{ item_name?, item_hash, quantity, unit_cost_at_sale, gst_rate, order_line_tax }] }
+ * @param {object} [config] - { tolerance, severities } as from taxCheckConfigFromEnv().
+ * @returns {Array<object>} [{ rule, severity, message }]; empty when everything reconciles.
+ */
+function checkOrderArithmetic(order, config = taxCheckConfigFromEnv()) {
+    const issues = [];
+    const differs = (a, b) => Math.abs(toPaise(a) - toPaise(b)) > toPaise(config.tolerance);
+    const push = (rule, message) => issues.push({ rule, severity: config.severities[rule] || 'WARNING', message });
+
+    let lineTotal = 0;
+    (order.items || []).forEach(item => {
+        const quantity = parseInt(item.quantity, 10) || 0;
+        const unitCost = roundMoney(item.unit_cost_at_sale);
+        const rate = parseFloat(item.gst_rate) || 0;
+        const value = lineValue(unitCost, quantity);
+        lineTotal = addMoney(lineTotal, value);
+
+        const expectedTax = lineTax(value, rate);
+        const tax = roundMoney(item.order_line_tax);
+        if (differs(tax, expectedTax)) {
+            push('LINE_TAX', `Line "${item.item_name || item.item_hash}": tax ${tax} but ${unitCost} × ${quantity} × ${rate}% = ${expectedTax}.`);
+        }
+    });
+
+    const subtotal = roundMoney(order.order_subtotal_amount);
+    if (differs(lineTotal, subtotal)) {
+        push('LINE_SUM', `Line values add up to ${lineTotal} but the subtotal is ${subtotal}.`);
+    }
+
+    const discount = roundMoney(order.cart_discount_amount);
+    const tax = roundMoney(order.order_total_tax_amount);
+    const total = roundMoney(order.order_total_amount);
+    const expectedTotal = addMoney(subtotal, -discount, tax);
+    if (differs(total, expectedTotal)) {
+        push('ORDER_TOTAL', `Order total is ${total} but ${subtotal} − ${discount} + ${tax} = ${expectedTotal}.`);
+    }
+
+    return issues;
+}
+
+/**
+ * Re-runs the arithmetic checks over the stored orders dated in a range and returns
+ * every invoice that does not reconcile.
+ * @param {object} [options] - { tolerance } overrides TAX_CHECK_TOLERANCE for this audit.
+ * @returns {object} { startDate, endDate, tolerance, summary, invoices: [{ bill_number, order_date, issues }] }
+ */
+async function auditOrderArithmetic(startDate, endDate, options = {}) {
+    const config = taxCheckConfigFromEnv();
+    const tolerance = parseFloat(options.tolerance);
+    if (Number.isFinite(tolerance) && tolerance >= 0) config.tolerance = tolerance;
+
+    const orders = await sequelize.query(`
+        SELECT
+            O.id, O.bill_number, DATE_FORMAT(O.order_date, '%Y-%m-%d') AS order_date,
+            O.cart_discount_amount, O.order_subtotal_amount, O.order_total_tax_amount, O.order_total_amount
+        FROM orders O
+        WHERE O.order_date BETWEEN :startDate AND :endDate
+        ORDER BY O.order_date ASC, O.id ASC;
+    `, { replacements: { startDate, endDate }, type: QueryTypes.SELECT });
+
+    const items = await sequelize.query(`
+        SELECT I.order_id, I.item_hash, P.item_name, I.quantity, I.unit_cost_at_sale, I.gst_rate, I.order_line_tax
+        FROM order_items I
+        INNER JOIN orders O ON I.order_id = O.id
+        INNER JOIN products P ON I.product_id = P.id
+        WHERE O.order_date BETWEEN :startDate AND :endDate
+        ORDER BY I.id ASC;
+    `, { replacements: { startDate, endDate }, type: QueryTypes.SELECT });
+
+    const itemsByOrder = new Map();
+    items.forEach(item => {
+        if (!itemsByOrder.has(item.order_id)) itemsByOrder.set(item.order_id, []);
+        itemsByOrder.get(item.order_id).push(item);
+    });
+
+    const byRule = Object.fromEntries(Object.keys(TAX_CHECK_RULES).map(rule => [rule, 0]));
+    const invoices = [];
+    orders.forEach(order => {
+        const issues = checkOrderArithmetic({ ...order, items: itemsByOrder.get(order.id) || [] }, config);
+        if (issues.length === 0) return;
+        issues.forEach(issue => byRule[issue.rule]++);
+        invoices.push({ bill_number: order.bill_number, order_date: order.order_date, issues });
+    });
+
+    return {
+        startDate,
+        endDate,
+        tolerance: config.tolerance,
+        rules: TAX_CHECK_RULES,
+        summary: { ordersChecked: orders.length, ordersWithIssues: invoices.length, byRule },
+        invoices,
+    };
+}
+
+module.exports = { TAX_CHECK_RULES, taxCheckConfigFromEnv, checkOrderArithmetic, auditOrderArithmetic };
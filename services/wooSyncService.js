@@ -0,0 +1,298 @@
+const http = require('http');
+const https = require('https');
+const { Op } = require('sequelize');
+const { Order, SyncState } = require('../models');
+const { importGroupedOrders } = require('./importService');
+const { WC_SKIPPED_STATUSES } = require('./orderFileParser');
+const { roundMoney, sumMoney, lineValue, allocateMoney, splitLineValue } = require('../config/money');
+
+const SYNC_SOURCE = 'woocommerce';
+const PAGE_SIZE = 100;
+
+// WooCommerce billing state codes for India -> names used in config/gst.js
+const WC_STATE_NAMES = {
+    AN: 'Andaman & Nicobar Islands', AP: 'Andhra Pradesh', AR: 'Arunachal Pradesh', AS: 'Assam',
+    BR: 'Bihar', CH: 'Chandigarh', CT: 'Chhattisgarh', DN: 'Dadra & Nagar Haveli', DD: 'Daman & Diu',
+    DL: 'Delhi', GA: 'Goa', GJ: 'Gujarat', HR: 'Haryana', HP: 'Himachal Pradesh', JK: 'Jammu & Kashmir',
+    JH: 'Jharkhand', KA: 'Karnataka', KL: 'Kerala', LA: 'Ladakh', LD: 'Lakshadweep', MP: 'Madhya Pradesh',
+    MH: 'Maharashtra', MN: 'Manipur', ML: 'Meghalaya', MZ: 'Mizoram', NL: 'Nagaland', OR: 'Odisha',
+    PB: 'Punjab', PY: 'Puducherry', RJ: 'Rajasthan', SK: 'Sikkim', TN: 'Tamil Nadu', TS: 'Telangana',
+    TR: 'Tripura', UP: 'Uttar Pradesh', UK: 'Uttarakhand', UT: 'Uttarakhand', WB: 'West Bengal',
+};
+
+/**
+ * Reads the WooCommerce connection settings from the environment.
+ * WC_BASE_URL may point at a local mock server (plain http is allowed).
+ */
+function wooConfigFromEnv() {
+    return {
+        baseUrl: process.env.WC_BASE_URL,
+        consumerKey: process.env.WC_CONSUMER_KEY,
+        consumerSecret: process.env.WC_CONSUMER_SECRET,
+        gstinMetaKey: process.env.WC_GSTIN_META_KEY || '_billing_gst_number',
+        invoiceMetaKey: process.env.WC_INVOICE_META_KEY || '_wcpdf_invoice_number',
+        // Shipping is imported as an invoice line under this SAC code (courier services)
+        shippingHsnCode: process.env.WC_SHIPPING_HSN || '996812',
+    };
+}
+
+/**
+ * Fetches one page of /wp-json/wc/v3/orders.
+ * @returns {Promise<object>} { orders: Array, totalPages: number }
+ */
+function fetchOrdersPage(config, params) {
+    const url = new URL('/wp-json/wc/v3/orders', config.baseUrl);
+    Object.entries(params).forEach(([key, value]) => {
+        if (value !== undefined && value !== null) url.searchParams.set(key, value);
+    });
+
+    const client = url.protocol === 'https:' ? https : http;
+    const auth = Buffer.from(`${config.consumerKey}:${config.consumerSecret}`).toString('base64');
+
+    return new Promise((resolve, reject) => {
+        const req = client.get(url, { headers: { Authorization: `Basic ${auth}`, Accept: 'application/json' } }, (res) => {
+            let body = '';
+            res.setEncoding('utf8');
+            res.on('data', chunk => body += chunk);
+            res.on('end', () => {
+                if (res.statusCode !== 200) {
+                    return reject(new Error(`WooCommerce responded with HTTP ${res.statusCode}: ${body.substring(0, 200)}`));
+                }
+                try {
+                    resolve({
+                        orders: JSON.parse(body),
+                        totalPages: parseInt(res.headers['x-wp-totalpages'], 10) || 1,
+                    });
+                } catch (error) {
+                    reject(new Error(`WooCommerce returned invalid JSON: ${error.message}`));
+                }
+            });
+        });
+        req.on('error', reject);
+        req.setTimeout(30000, () => req.destroy(new Error('WooCommerce request timed out.')));
+    });
+}
+
+/* WooCommerce *_gmt fields are UTC but carry no zone designator ("2025-10-30T06:04:52") */
+function parseGmtDate(value) {
+    if (!value) return null;
+    const date = new Date(/Z|[+-]\d{2}:\d{2}$/.test(value) ? value : `${value}Z`);
+    return isNaN(date) ? null : date;
+}
+
+/* Finds a meta_data value by key, e.g. the billing GST number or invoice number */
+function metaValue(metaData, key) {
+    const entry = (metaData || []).find(m => m.key === key);
+    return entry && entry.value !== '' ? entry.value : null;
+}
+
+/**
+ * Maps a WooCommerce REST order into the grouped-order structure that
+ * importGroupedOrders persists. Returns null when the order has no invoice number.
+ */
+function mapWooOrder(order, config) {
+    const billNumber = metaValue(order.meta_data, config.invoiceMetaKey);
+    if (!billNumber) return null;
+
+    const billing = order.billing || {};
+    const partyName = [billing.first_name, billing.last_name].filter(Boolean).join(' ').trim();
+
+    // tax_lines carry the rate; each line item's taxes[] reference them by rate_id
+    const ratePercentById = {};
+    (order.tax_lines || []).forEach(line => {
+        ratePercentById[line.rate_id] = parseFloat(line.rate_percent) || 0;
+    });
+
+    const gstRateOf = taxes => (taxes || [])
+        .filter(tax => parseFloat(tax.total) !== 0)
+        .reduce((sum, tax) => sum + (ratePercentById[tax.id] || 0), 0);
+
+    const items = (order.line_items || []).flatMap(item => {
+        const quantity = parseInt(item.quantity, 10) || 0;
+        const gstRate = gstRateOf(item.taxes);
+        const hsnMeta = (item.meta_data || []).find(m => /hsn/i.test(m.key));
+        const productId = (item.variation_id || item.product_id || '').toString();
+
+        // Line total is after coupons, i.e. the taxable value. A total that does not divide by
+        // the quantity becomes two lines a paisa apart in unit cost so the lines still add up.
+        const parts = splitLineValue(roundMoney(item.total), quantity);
+        const partTaxes = parts.length > 1
+            ? allocateMoney(roundMoney(item.total_tax), parts.map(part => part.quantity))
+            : [roundMoney(item.total_tax)];
+        return parts.map((part, index) => ({
+            product_id: productId,
+            item_hash: item.sku || productId,
+            item_name: item.name,
+            hsn_code: hsnMeta ? hsnMeta.value : null,
+            gst_rate: gstRate,
+            quantity: part.quantity,
+            unit_cost_at_sale: part.unitCost,
+            order_line_tax: partTaxes[index],
+        }));
+    });
+
+    // Shipping is part of the taxable value and of order.total/total_tax, so it becomes a line too
+    (order.shipping_lines || []).forEach(line => {
+        const shippingTotal = roundMoney(line.total);
+        if (shippingTotal === 0 && roundMoney(line.total_tax) === 0) return;
+        items.push({
+            product_id: 'shipping',
+            item_hash: `shipping-${line.method_id || line.id}`,
+            item_name: 'Shipping',
+            hsn_code: config.shippingHsnCode,
+            gst_rate: gstRateOf(line.taxes),
+            quantity: 1,
+            unit_cost_at_sale: shippingTotal,
+            order_line_tax: roundMoney(line.total_tax),
+        });
+    });
+
+    return {
+        bill_number: billNumber.toString(),
+        order_number: (order.number || order.id).toString(),
+        order_date: order.date_paid || order.date_created,
+        customer_user_id: order.customer_id ? order.customer_id.toString() : null,
+        party_name: partyName,
+        company_billing: billing.company || partyName,
+        gst_number: metaValue(order.meta_data, config.gstinMetaKey),
+        state_name: WC_STATE_NAMES[billing.state] || billing.state,
+        address: [billing.address_1, billing.address_2, billing.city].filter(Boolean).join(', '),
+        pincode: billing.postcode,
+        country: billing.country,
+        email: billing.email,
+        phone: billing.phone,
+        // Coupons are already taken off the line totals (and the tax charged on them), so the
+        // lines are the taxable value and there is no further order-level discount to apply
+        cart_discount_amount: 0,
+        order_subtotal_amount: sumMoney(items.map(item => lineValue(item.unit_cost_at_sale, item.quantity))),
+        order_total_tax_amount: roundMoney(order.total_tax),
+        order_total_amount: roundMoney(order.total),
+        payment_method: order.payment_method_title || order.payment_method,
+        transaction_id: order.transaction_id,
+        items,
+    };
+}
+
+/**
+ * Returns the stored sync cursor and the outcome of the last run.
+ */
+async function getWooSyncState() {
+    const [state] = await SyncState.findOrCreate({ where: { source: SYNC_SOURCE } });
+    return state.get({ plain: true });
+}
+
+/*
+ * The cursor only moves past orders that were dealt with. It stops short of the first order
+ * that failed to import or has no invoice number yet, so the next run (modified_after is
+ * exclusive) fetches that order again.
+ * @param {Array<Date|null>} modifiedTimes - Modification time of every fetched order.
+ * @param {Array<Date|null>} heldTimes - Modification times of the orders to fetch again.
+ */
+function cursorAfterImport(previousCursor, modifiedTimes, heldTimes) {
+    // An order to fetch again without a modification time: retry the whole window
+    if (heldTimes.some(time => !time)) return previousCursor;
+
+    const firstHeld = heldTimes.length > 0 ? Math.min(...heldTimes.map(time => time.getTime())) : Infinity;
+    let cursor = previousCursor ? new Date(previousCursor) : null;
+    modifiedTimes.forEach(modified => {
+        if (modified && modified.getTime() < firstHeld && (!cursor || modified > cursor)) cursor = modified;
+    });
+    return cursor;
+}
+
+/**
+ * Pages through orders modified since the stored cursor, imports them (updating bills that
+ * were already imported) and advances the cursor to the newest modification time seen,
+ * but not past an order that failed to import or has no invoice number yet.
+ * @param {object} job - ImportJob record that receives progress updates.
+ * @param {object} [config] - Connection settings; defaults to wooConfigFromEnv().
+ * @returns {object} Summary of import results.
+ */
+async function syncWooOrders(job, config = wooConfigFromEnv()) {
+    if (!config.baseUrl || !config.consumerKey || !config.consumerSecret) {
+        throw new Error('WooCommerce sync is not configured (WC_BASE_URL, WC_CONSUMER_KEY, WC_CONSUMER_SECRET).');
+    }
+
+    const [state] = await SyncState.findOrCreate({ where: { source: SYNC_SOURCE } });
+
+    try {
+        const groupedOrders = [];
+        const withoutInvoice = [];
+        // Orders with an invoice number that WooCommerce now reports as cancelled, refunded or failed
+        const withdrawn = [];
+        // For the cursor: every order's modification time, and those of the orders to fetch again
+        const modifiedTimes = [];
+        const heldTimes = [];
+        // Bill number -> modification time, to hold the cursor back before a failed order
+        const modifiedByBill = new Map();
+        let page = 1;
+        let totalPages = 1;
+
+        do {
+            const result = await fetchOrdersPage(config, {
+                per_page: PAGE_SIZE,
+                page,
+                orderby: 'modified',
+                order: 'asc',
+                dates_are_gmt: 'true',
+                modified_after: state.cursor ? new Date(state.cursor).toISOString() : undefined,
+            });
+            totalPages = result.totalPages;
+
+            for (const order of result.orders) {
+                const modified = parseGmtDate(order.date_modified_gmt);
+                modifiedTimes.push(modified);
+                if (WC_SKIPPED_STATUSES.includes(order.status)) {
+                    const billNumber = metaValue(order.meta_data, config.invoiceMetaKey);
+                    if (billNumber) {
+                        withdrawn.push({ billNumber: billNumber.toString(), orderNumber: order.number || order.id, status: order.status });
+                    }
+                    continue;
+                }
+
+                const mapped = mapWooOrder(order, config);
+                if (mapped) {
+                    groupedOrders.push(mapped);
+                    modifiedByBill.set(mapped.bill_number, modified);
+                } else {
+                    withoutInvoice.push(order.number || order.id);
+                    heldTimes.push(modified);
+                }
+            }
+            page++;
+        } while (page <= totalPages);
+
+        // Orders come back whenever they are edited in WooCommerce, so existing bills are updated
+        const summary = await importGroupedOrders(groupedOrders, job, { upsert: true });
+        withoutInvoice.forEach(orderNumber => summary.warnings.push({
+            bill_number: null,
+            message: `Order ${orderNumber} was not imported because it has no invoice number yet; it is fetched again on the next sync.`,
+        }));
+
+        // A bill imported earlier stays in the returns until a credit note or a purge removes it
+        if (withdrawn.length > 0) {
+            const imported = await Order.findAll({
+                attributes: ['bill_number'],
+                where: { bill_number: { [Op.in]: withdrawn.map(entry => entry.billNumber) } },
+                raw: true,
+            });
+            const importedBills = new Set(imported.map(row => row.bill_number));
+            withdrawn.filter(entry => importedBills.has(entry.billNumber)).forEach(entry => summary.warnings.push({
+                bill_number: entry.billNumber,
+                message: `Order ${entry.orderNumber} is now ${entry.status} in WooCommerce but bill ${entry.billNumber} was already imported; record a credit note or purge the bill.`,
+            }));
+        }
+
+        summary.failedBillNumbers.forEach(billNumber => heldTimes.push(modifiedByBill.get(billNumber) || null));
+        const cursor = cursorAfterImport(state.cursor, modifiedTimes, heldTimes);
+        await state.update({ cursor, last_run_at: new Date(), last_status: 'COMPLETED', last_error: null });
+        return summary;
+
+    } catch (error) {
+        // Leave the cursor untouched so the next run retries the same window
+        await state.update({ last_run_at: new Date(), last_status: 'FAILED', last_error: error.message });
+        throw error;
+    }
+}
+
+module.exports = { syncWooOrders, getWooSyncState, mapWooOrder, wooConfigFromEnv, fetchOrdersPage, cursorAfterImport };